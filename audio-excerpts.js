@@ -0,0 +1,292 @@
+// Decoded excerpts of media files too large to decode whole, for loudness estimates.
+// MP4 (M4A, M4B, MP4 video) keeps its sample tables in the moov box, so the AAC frames of each
+// excerpt are located through them and rewrapped as ADTS, which decodes on its own. Other
+// formats are cut into byte windows: MP3 and ADTS frames resync by themselves, while Ogg, FLAC
+// and WebM need the stream headers from the start of the file, whose audio is trimmed off again.
+
+const HEAD_BYTES = 1024 * 1024;
+const ADTS_HEADER_BYTES = 7;
+const ADTS_MAX_FRAME_BYTES = 0x1fff;
+const AAC_OBJECT_TYPES = [0x40, 0x66, 0x67, 0x68];
+
+async function readBytes(blob, start, end) {
+  return new Uint8Array(await blob.slice(start, end).arrayBuffer());
+}
+
+const fourCC = (bytes, offset) => String.fromCharCode(...bytes.subarray(offset, offset + 4));
+const viewOf = (bytes) => new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+// Box size from its header; 1 means a 64-bit size follows, 0 that it runs to the end
+function boxSize(view, offset, end) {
+  const size = view.getUint32(offset);
+  if (size === 1) {
+    return { size: Number(view.getBigUint64(offset + 8)), header: 16 };
+  }
+  return { size: size === 0 ? end - offset : size, header: 8 };
+}
+
+// Children of bytes[start, end) as { type, start, end }, with start past the box header
+function childBoxes(bytes, start, end) {
+  const view = viewOf(bytes);
+  const children = [];
+  let offset = start;
+  while (offset + 8 <= end) {
+    const { size, header } = boxSize(view, offset, end);
+    if (size < header) {
+      break;
+    }
+    children.push({ type: fourCC(bytes, offset + 4), start: offset + header, end: Math.min(offset + size, end) });
+    offset += size;
+  }
+  return children;
+}
+
+function findBox(bytes, box, path) {
+  for (const type of path) {
+    box = childBoxes(bytes, box.start, box.end).find((child) => child.type === type);
+    if (!box) {
+      return null;
+    }
+  }
+  return box;
+}
+
+async function isMp4(blob) {
+  return blob.size >= 8 && fourCC(await readBytes(blob, 4, 8), 0) === "ftyp";
+}
+
+// The moov box sits before or after the media data, so only top-level headers are read to find it
+async function readMoov(blob) {
+  let offset = 0;
+  while (offset + 8 <= blob.size) {
+    const header = await readBytes(blob, offset, offset + 16);
+    const { size, header: headerSize } = boxSize(viewOf(header), 0, blob.size - offset);
+    if (fourCC(header, 4) === "moov") {
+      const moov = await readBytes(blob, offset, offset + size);
+      return { bytes: moov, box: { start: headerSize, end: moov.length } };
+    }
+    if (size < headerSize) {
+      break;
+    }
+    offset += size;
+  }
+  throw new Error("MP4 file has no moov box");
+}
+
+// MPEG-4 descriptors carry their length as up to four 7-bit groups
+function readDescriptor(bytes, offset) {
+  const tag = bytes[offset++];
+  let length = 0;
+  for (let i = 0; i < 4; i++) {
+    const byte = bytes[offset++];
+    length = (length << 7) | (byte & 0x7f);
+    if (!(byte & 0x80)) {
+      break;
+    }
+  }
+  return { tag, start: offset, end: offset + length };
+}
+
+// esds -> ES_Descriptor -> DecoderConfigDescriptor -> AudioSpecificConfig
+function readAacConfig(bytes, stsd) {
+  let esds = -1;
+  for (let i = stsd.start; i + 4 <= stsd.end; i++) {
+    if (fourCC(bytes, i) === "esds") {
+      esds = i + 4;
+      break;
+    }
+  }
+  if (esds === -1) {
+    throw new Error("Audio track is not AAC");
+  }
+
+  const es = readDescriptor(bytes, esds + 4);
+  const flags = bytes[es.start + 2];
+  let offset = es.start + 3;
+  if (flags & 0x80) {
+    offset += 2;
+  }
+  if (flags & 0x40) {
+    offset += 1 + bytes[offset];
+  }
+  if (flags & 0x20) {
+    offset += 2;
+  }
+  const decoderConfig = readDescriptor(bytes, offset);
+  if (decoderConfig.tag !== 0x04 || !AAC_OBJECT_TYPES.includes(bytes[decoderConfig.start])) {
+    throw new Error("Audio track is not AAC");
+  }
+  const specificInfo = readDescriptor(bytes, decoderConfig.start + 13);
+  const objectType = bytes[specificInfo.start] >> 3;
+  const frequencyIndex = ((bytes[specificInfo.start] & 0x07) << 1) | (bytes[specificInfo.start + 1] >> 7);
+  const channelConfig = (bytes[specificInfo.start + 1] >> 3) & 0x0f;
+  if (objectType === 31 || frequencyIndex === 15 || channelConfig === 0) {
+    throw new Error("AAC configuration can't be expressed as ADTS");
+  }
+  // ADTS only has profiles 1-4; HE-AAC streams are sent as LC and the decoder finds the SBR data
+  return { profile: objectType <= 4 ? objectType - 1 : 1, frequencyIndex, channelConfig };
+}
+
+// Offsets and sizes of every AAC frame of the first sound track
+function readAacTrack({ bytes, box }) {
+  const track = childBoxes(bytes, box.start, box.end)
+    .filter((child) => child.type === "trak")
+    .find((trak) => {
+      const hdlr = findBox(bytes, trak, ["mdia", "hdlr"]);
+      return hdlr && fourCC(bytes, hdlr.start + 8) === "soun";
+    });
+  const stbl = track && findBox(bytes, track, ["mdia", "minf", "stbl"]);
+  if (!stbl) {
+    throw new Error("MP4 file has no sound track");
+  }
+
+  const view = viewOf(bytes);
+  const table = (type) => findBox(bytes, stbl, [type]);
+  const config = readAacConfig(bytes, table("stsd"));
+
+  const stsz = table("stsz");
+  const fixedSize = view.getUint32(stsz.start + 4);
+  const count = view.getUint32(stsz.start + 8);
+  const sizes = new Uint32Array(count);
+  for (let i = 0; i < count; i++) {
+    sizes[i] = fixedSize || view.getUint32(stsz.start + 12 + i * 4);
+  }
+
+  const stco = table("stco");
+  const co64 = table("co64");
+  const chunkTable = stco || co64;
+  const chunkOffsets = Array.from({ length: view.getUint32(chunkTable.start + 4) }, (_, i) => (
+    stco ? view.getUint32(stco.start + 8 + i * 4) : Number(view.getBigUint64(co64.start + 8 + i * 8))
+  ));
+
+  // stsc runs: from first_chunk (1-based) on, each chunk holds samples_per_chunk frames
+  const stsc = table("stsc");
+  const runCount = view.getUint32(stsc.start + 4);
+  const runFirstChunk = (run) => view.getUint32(stsc.start + 8 + run * 12) - 1;
+  const runSamples = (run) => view.getUint32(stsc.start + 12 + run * 12);
+
+  const offsets = new Float64Array(count);
+  let sample = 0;
+  let run = 0;
+  for (let chunk = 0; chunk < chunkOffsets.length && sample < count; chunk++) {
+    while (run + 1 < runCount && runFirstChunk(run + 1) <= chunk) {
+      run++;
+    }
+    let offset = chunkOffsets[chunk];
+    for (let i = 0; i < runSamples(run) && sample < count; i++) {
+      offsets[sample] = offset;
+      offset += sizes[sample];
+      sample++;
+    }
+  }
+  return { ...config, offsets, sizes, count: sample };
+}
+
+function adtsHeader({ profile, frequencyIndex, channelConfig }, frameSize) {
+  const length = frameSize + ADTS_HEADER_BYTES;
+  return new Uint8Array([
+    0xff,
+    0xf1, // MPEG-4, no CRC
+    (profile << 6) | (frequencyIndex << 2) | (channelConfig >> 2),
+    ((channelConfig & 0x03) << 6) | (length >> 11),
+    (length >> 3) & 0xff,
+    ((length & 0x07) << 5) | 0x1f,
+    0xfc,
+  ]);
+}
+
+// Start positions of count windows of the given length, spread evenly over total
+function spreadWindows(total, length, count) {
+  return Array.from({ length: count }, (_, index) => (
+    Math.max(0, Math.min(total - length, Math.round(((index + 0.5) * total) / count - length / 2)))
+  ));
+}
+
+async function readMp4Excerpts(blob, count, bytes) {
+  const track = readAacTrack(await readMoov(blob));
+  const averageSize = track.sizes.reduce((total, size) => total + size, 0) / track.count;
+  const framesPerExcerpt = Math.max(1, Math.min(track.count, Math.ceil(bytes / averageSize)));
+
+  const excerpts = [];
+  for (const first of spreadWindows(track.count, framesPerExcerpt, count)) {
+    const last = first + framesPerExcerpt;
+    const parts = [];
+    // Frames that sit back to back are read together; interleaved video data is skipped
+    for (let start = first; start < last;) {
+      let end = start + 1;
+      let rangeEnd = track.offsets[start] + track.sizes[start];
+      while (end < last && track.offsets[end] === rangeEnd) {
+        rangeEnd += track.sizes[end++];
+      }
+      const data = await readBytes(blob, track.offsets[start], rangeEnd);
+      let position = 0;
+      for (let frame = start; frame < end; frame++) {
+        const size = track.sizes[frame];
+        if (size + ADTS_HEADER_BYTES <= ADTS_MAX_FRAME_BYTES) {
+          parts.push(adtsHeader(track, size), data.subarray(position, position + size));
+        }
+        position += size;
+      }
+      start = end;
+    }
+    excerpts.push(new Blob(parts, { type: "audio/aac" }));
+  }
+  return excerpts;
+}
+
+function copyChannels(buffer, skipFrames = 0) {
+  return Array.from({ length: buffer.numberOfChannels }, (_, index) => buffer.getChannelData(index).slice(skipFrames));
+}
+
+// Joins excerpts end to end; the seams are far shorter than a 400 ms measurement block
+function joinExcerpts(excerpts) {
+  const channelCount = Math.min(...excerpts.map((channels) => channels.length));
+  return Array.from({ length: channelCount }, (_, index) => {
+    const joined = new Float32Array(excerpts.reduce((total, channels) => total + channels[index].length, 0));
+    let offset = 0;
+    excerpts.forEach((channels) => {
+      joined.set(channels[index], offset);
+      offset += channels[index].length;
+    });
+    return joined;
+  });
+}
+
+// decode(blob) -> AudioBuffer, all at the same sample rate. Resolves to { channels, sampleRate }.
+export async function decodeExcerpts(blob, decode, { count = 8, bytes = 4 * 1024 * 1024 } = {}) {
+  const excerpts = [];
+  let sampleRate = 0;
+  const add = (buffer, skipFrames) => {
+    sampleRate = buffer.sampleRate;
+    excerpts.push(copyChannels(buffer, skipFrames));
+  };
+
+  if (await isMp4(blob)) {
+    for (const excerpt of await readMp4Excerpts(blob, count, bytes)) {
+      add(await decode(excerpt));
+    }
+  } else {
+    const head = blob.slice(0, HEAD_BYTES);
+    let headFrames;
+    for (const start of spreadWindows(blob.size, bytes, count)) {
+      const excerpt = blob.slice(start, start + bytes);
+      try {
+        add(await decode(excerpt));
+        continue;
+      } catch {
+        // Needs the stream headers, tried below
+      }
+      try {
+        headFrames ??= (await decode(head)).length;
+        add(await decode(new Blob([head, excerpt])), headFrames);
+      } catch (error) {
+        console.warn(`Skipping an undecodable excerpt at byte ${start}:`, error);
+      }
+    }
+  }
+
+  if (excerpts.length === 0) {
+    throw new Error("No excerpt could be decoded");
+  }
+  return { channels: joinExcerpts(excerpts), sampleRate };
+}
@@ -0,0 +1,13 @@
+// CRC-32 for backup archives, run as a module worker so hashing multi-GB files never freezes the UI.
+// Receives { id, blob } and replies { id, progress } per chunk read, then { id, crc } or { id, error }.
+
+import { crc32 } from "./zip.js";
+
+self.onmessage = async ({ data: { id, blob } }) => {
+  try {
+    const crc = await crc32(blob, (progress) => self.postMessage({ id, progress }));
+    self.postMessage({ id, crc });
+  } catch (error) {
+    self.postMessage({ id, error: error.message || String(error) });
+  }
+};
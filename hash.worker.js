@@ -0,0 +1,29 @@
+// Content fingerprint for duplicate detection, run as a module worker.
+// A SHA-256 over the size plus the first and last MiB, so multi-GB files hash in
+// milliseconds; files up to 2 MiB are hashed whole. Two files that share size, head and
+// tail are treated as the same content.
+// Receives { id, file } and replies { id, hash } (hex) or { id, error }.
+
+const SAMPLE_BYTES = 1024 * 1024;
+
+async function sampleFile(file) {
+  const size = new Uint8Array(8);
+  new DataView(size.buffer).setBigUint64(0, BigInt(file.size));
+  const parts = file.size <= SAMPLE_BYTES * 2
+    ? [file]
+    : [file.slice(0, SAMPLE_BYTES), file.slice(file.size - SAMPLE_BYTES)];
+  return new Blob([size, ...parts]).arrayBuffer();
+}
+
+async function hashFile(file) {
+  const digest = await crypto.subtle.digest("SHA-256", await sampleFile(file));
+  return Array.from(new Uint8Array(digest), (byte) => byte.toString(16).padStart(2, "0")).join("");
+}
+
+self.onmessage = async ({ data: { id, file } }) => {
+  try {
+    self.postMessage({ id, hash: await hashFile(file) });
+  } catch (error) {
+    self.postMessage({ id, error: error.message || String(error) });
+  }
+};
@@ -0,0 +1,120 @@
+// Integrated loudness estimate, run as a module worker so long files never block the UI.
+// Follows ITU-R BS.1770 / EBU R128: K-weighting, 400 ms blocks every 100 ms,
+// an absolute gate at -70 LUFS and a relative gate 10 LU below the ungated mean.
+// Receives { id, channels: Float32Array[], sampleRate } and replies
+// { id, integrated, peak } (integrated is null for silence) or { id, error }.
+
+const BLOCK_SECONDS = 0.4;
+const STEP_SECONDS = 0.1;
+const ABSOLUTE_GATE_LUFS = -70;
+const RELATIVE_GATE_LU = -10;
+
+// Biquad coefficients for the two K-weighting stages at any sample rate (as in libebur128)
+function kWeightingFilters(sampleRate) {
+  let f0 = 1681.974450955533;
+  const gainDb = 3.999843853973347;
+  let q = 0.7071752369554196;
+  let k = Math.tan((Math.PI * f0) / sampleRate);
+  const vh = 10 ** (gainDb / 20);
+  const vb = vh ** 0.4996667741545416;
+  let a0 = 1 + k / q + k * k;
+  const shelf = {
+    b: [(vh + (vb * k) / q + k * k) / a0, (2 * (k * k - vh)) / a0, (vh - (vb * k) / q + k * k) / a0],
+    a: [(2 * (k * k - 1)) / a0, (1 - k / q + k * k) / a0],
+  };
+
+  f0 = 38.13547087602444;
+  q = 0.5003270373238773;
+  k = Math.tan((Math.PI * f0) / sampleRate);
+  a0 = 1 + k / q + k * k;
+  const highPass = {
+    b: [1, -2, 1],
+    a: [(2 * (k * k - 1)) / a0, (1 - k / q + k * k) / a0],
+  };
+  return [shelf, highPass];
+}
+
+// Filters in place and returns the sample peak seen before filtering
+function applyKWeighting(samples, filters) {
+  let peak = 0;
+  const states = filters.map(() => ({ x1: 0, x2: 0, y1: 0, y2: 0 }));
+  for (let i = 0; i < samples.length; i++) {
+    let value = samples[i];
+    peak = Math.max(peak, Math.abs(value));
+    for (let f = 0; f < filters.length; f++) {
+      const { b, a } = filters[f];
+      const state = states[f];
+      const output = b[0] * value + b[1] * state.x1 + b[2] * state.x2 - a[0] * state.y1 - a[1] * state.y2;
+      state.x2 = state.x1;
+      state.x1 = value;
+      state.y2 = state.y1;
+      state.y1 = output;
+      value = output;
+    }
+    samples[i] = value;
+  }
+  return peak;
+}
+
+// 5.1 layouts skip the LFE and weight the surrounds; everything else counts equally
+function channelWeight(index, channelCount) {
+  if (channelCount !== 6) {
+    return 1;
+  }
+  return index === 3 ? 0 : index >= 4 ? 1.41 : 1;
+}
+
+const toLoudness = (power) => -0.691 + 10 * Math.log10(power);
+
+function measureLoudness(channels, sampleRate) {
+  const filters = kWeightingFilters(sampleRate);
+  const stepLength = Math.round(STEP_SECONDS * sampleRate);
+  const stepsPerBlock = Math.round(BLOCK_SECONDS / STEP_SECONDS);
+  const stepCount = Math.floor(channels[0].length / stepLength);
+
+  // Weighted mean square of each 100 ms step, summed over channels
+  const stepPower = new Float64Array(stepCount);
+  let peak = 0;
+  channels.forEach((samples, index) => {
+    const weight = channelWeight(index, channels.length);
+    peak = Math.max(peak, applyKWeighting(samples, filters));
+    if (weight === 0) {
+      return;
+    }
+    for (let step = 0; step < stepCount; step++) {
+      let sum = 0;
+      for (let i = step * stepLength, end = i + stepLength; i < end; i++) {
+        sum += samples[i] * samples[i];
+      }
+      stepPower[step] += (weight * sum) / stepLength;
+    }
+  });
+
+  const blocks = [];
+  for (let start = 0; start + stepsPerBlock <= stepCount; start++) {
+    let sum = 0;
+    for (let step = start; step < start + stepsPerBlock; step++) {
+      sum += stepPower[step];
+    }
+    const power = sum / stepsPerBlock;
+    if (toLoudness(power) > ABSOLUTE_GATE_LUFS) {
+      blocks.push(power);
+    }
+  }
+  if (blocks.length === 0) {
+    return { integrated: null, peak };
+  }
+
+  const mean = (values) => values.reduce((total, value) => total + value, 0) / values.length;
+  const relativeGate = toLoudness(mean(blocks)) + RELATIVE_GATE_LU;
+  const gated = blocks.filter((power) => toLoudness(power) > relativeGate);
+  return { integrated: toLoudness(mean(gated)), peak };
+}
+
+self.onmessage = ({ data: { id, channels, sampleRate } }) => {
+  try {
+    self.postMessage({ id, ...measureLoudness(channels, sampleRate) });
+  } catch (error) {
+    self.postMessage({ id, error: error.message || String(error) });
+  }
+};
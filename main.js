@@ -1,6 +1,8 @@
 import "./style.css";
 import van from "vanjs-core";
 import { registerSW } from "virtual:pwa-register";
+import { createZipWriter, readZip, crc32 } from "./zip.js";
+import { decodeExcerpts } from "./audio-excerpts.js";
 
 // Debug mode - when enabled, all errors become unhandled and display on white screen
 const debugMode = van.state(
@@ -173,7 +175,7 @@ if ("serviceWorker" in navigator) {
   });
 }
 
-const { div, header, main, aside, h1, h2, button, input, label, span, dialog, nav, ul, li, p, a, img } = van.tags;
+const { div, header, main, aside, h1, h2, button, input, label, span, dialog, nav, ul, li, p, a, img, select, option, track } = van.tags;
 
 // App state using IndexedDB
 const mediaFiles = van.state([]);
@@ -181,9 +183,115 @@ const sidebarOpen = van.state(false);
 const isLoading = van.state(true);
 const isUpdating = van.state(false);
 const currentFileId = van.state(null);
+// Derived count so controls outside the file list don't re-render on every progress update
+const mediaFileCount = van.derive(() => mediaFiles.val.length);
+
+// Small helpers for JSON values persisted in Local Storage
+function readStoredJSON(key, fallback) {
+  try {
+    const json = localStorage.getItem(key);
+    return json ? JSON.parse(json) : fallback;
+  } catch (error) {
+    console.warn(`Could not read ${key} from Local Storage:`, error);
+    return fallback;
+  }
+}
+
+function writeStoredJSON(key, value) {
+  try {
+    localStorage.setItem(key, JSON.stringify(value));
+  } catch (error) {
+    console.warn(`Could not save ${key} to Local Storage:`, error);
+  }
+}
+
+// User playlists ({ id, name, fileIds, createdAt }) live in the "playlists" object store
+const playlists = van.state([]);
+const ACTIVE_PLAYLIST_KEY = "activePlaylistId";
+const activePlaylistId = van.state(readStoredJSON(ACTIVE_PLAYLIST_KEY, null));
+const playlistDialogFileId = van.state(null);
+
+// Folder paths collapsed in the sidebar tree
+const COLLAPSED_FOLDERS_KEY = "collapsedFolders";
+const collapsedFolders = van.state(readStoredJSON(COLLAPSED_FOLDERS_KEY, []));
+
+// Sidebar sort and filter choices persist; the search query does not
+const LIBRARY_VIEW_KEY = "libraryView";
+const DEFAULT_LIBRARY_VIEW = { sort: "added", reverse: false, type: "all", status: "all", layout: "list" };
+const libraryView = van.state({ ...DEFAULT_LIBRARY_VIEW, ...readStoredJSON(LIBRARY_VIEW_KEY, {}) });
+const librarySearch = van.state("");
+
+// "Up Next" queue of file IDs, persisted alongside lastPlayedFileId
+const PLAY_QUEUE_KEY = "playQueue";
+const playQueue = van.state(
+  [].concat(readStoredJSON(PLAY_QUEUE_KEY, [])).filter((id) => typeof id === "string")
+);
+
+// Subtitles attached to the current file: [{ id, fileId, label, language, vtt }]
+const currentSubtitles = van.state([]);
+const currentSubtitleId = van.derive(() => getCurrentFile()?.subtitleId ?? null);
+
+// Playback speed: files remember their own rate, otherwise the per-type or global default applies
+const PLAYBACK_DEFAULTS_KEY = "playbackDefaults";
+// audioRate/videoRate of null fall back to rate, e.g. { audioRate: 1.5 } speeds up podcasts only
+const DEFAULT_PLAYBACK_SETTINGS = { rate: 1, audioRate: null, videoRate: null, preservesPitch: true };
+const playbackDefaults = van.state({
+  ...DEFAULT_PLAYBACK_SETTINGS,
+  ...readStoredJSON(PLAYBACK_DEFAULTS_KEY, {}),
+});
+const MIN_PLAYBACK_RATE = 0.25;
+const MAX_PLAYBACK_RATE = 4;
+const PLAYBACK_RATE_STEP = 0.05;
+// Mirrors the player's rate; the stored per-file value only notifies when it changes
+const currentPlaybackRate = van.state(1);
+const currentFilePlaybackRate = van.derive(() => getCurrentFile()?.playbackRate ?? null);
+
+// Keyboard shortcut overrides ({ actionId: [keys] }); actions without one use their defaults
+const SHORTCUTS_KEY = "keyboardShortcuts";
+const shortcutOverrides = van.state(readStoredJSON(SHORTCUTS_KEY, {}));
+// Action ID waiting for a new key in the shortcuts dialog
+const remappingShortcut = van.state(null);
+
+// Bookmarks by file ID, sorted by time. They live in their own store, apart from the file records.
+const bookmarks = van.state({});
+
+// A-B loop: the saved section ({ start, end, repeats, gap, enabled }) lives on the file record
+const currentFileLoop = van.derive(() => getCurrentFile()?.loop ?? null);
+// Completed passes through the current section, and the timer for the pause between them
+let loopPlayCount = 0;
+let loopGapTimer = null;
+
+// Sleep timer: { endsAt } for a fixed duration or { filesLeft } to stop after that many files end
+const sleepTimer = van.state(null);
+// Ticks every second while a timer runs so the remaining time stays current
+const sleepTimerNow = van.state(Date.now());
+
+// Web Audio processing toggles, and the running total of time skip-silence has saved
+const AUDIO_SETTINGS_KEY = "audioProcessing";
+const DEFAULT_AUDIO_SETTINGS = { skipSilence: false, voiceBoost: false, mono: false };
+const audioSettings = van.state({ ...DEFAULT_AUDIO_SETTINGS, ...readStoredJSON(AUDIO_SETTINGS_KEY, {}) });
+const NORMALIZATION_KEY = "loudnessNormalization";
+const normalizationSettings = van.state({ enabled: false, target: -18, ...readStoredJSON(NORMALIZATION_KEY, {}) });
+const currentLoudnessGain = van.derive(() => getCurrentFile()?.loudnessGain ?? null);
+// Equalizer: global { enabled, preset, gains } plus saved custom presets; files may override the gains
+const EQUALIZER_KEY = "equalizer";
+const EQUALIZER_PRESETS_KEY = "equalizerPresets";
+const equalizerSettings = van.state({
+  enabled: false,
+  preset: "flat",
+  gains: new Array(10).fill(0),
+  ...readStoredJSON(EQUALIZER_KEY, {}),
+});
+const equalizerPresets = van.state(readStoredJSON(EQUALIZER_PRESETS_KEY, []));
+const currentFileEqualizer = van.derive(() => getCurrentFile()?.equalizer ?? null);
+const equalizerOpen = van.state(false);
+const SILENCE_SAVED_KEY = "silenceSavedSeconds";
+const silenceSavedSeconds = van.state(readStoredJSON(SILENCE_SAVED_KEY, 0));
 
 // Object URL tracking for cleanup
 const objectUrls = new Map();
+// Artwork thumbnail URLs by file ID, reactive so entries update once a background scan stores one
+const artworkUrls = van.state({});
 
 // Function to create and track object URLs
 function createAndTrackObjectURL(file) {
@@ -199,6 +307,20 @@ function createAndTrackObjectURL(file) {
   return url;
 }
 
+// The service worker serves IndexedDB and OPFS content at /media/<fileId> with Range
+// support, so seeking never loads the whole Blob and the URL survives reloads. Linked
+// and in-memory files, and pages without an active worker, use blob: URLs instead.
+const MEDIA_ROUTE = "/media/";
+
+function getMediaURL(file) {
+  if (navigator.serviceWorker?.controller && !file.handle && copyMediaStore !== mediaStores.memory) {
+    return `${MEDIA_ROUTE}${encodeURIComponent(file.id)}`;
+  }
+  return createAndTrackObjectURL(file);
+}
+
+const isMediaRouteURL = (url) => new URL(url, window.location.href).pathname.startsWith(MEDIA_ROUTE);
+
 // Function to release object URLs
 function releaseObjectURL(fileId) {
   if (objectUrls.has(fileId)) {
@@ -209,10 +331,72 @@ function releaseObjectURL(fileId) {
   }
 }
 
+function setArtworkBlob(fileId, blob) {
+  releaseArtworkURL(fileId);
+  artworkUrls.val = { ...artworkUrls.val, [fileId]: URL.createObjectURL(blob) };
+}
+
+function releaseArtworkURL(fileId) {
+  const url = artworkUrls.val[fileId];
+  if (url) {
+    URL.revokeObjectURL(url);
+    const remaining = { ...artworkUrls.val };
+    delete remaining[fileId];
+    artworkUrls.val = remaining;
+  }
+}
+
+function releaseAllArtworkURLs() {
+  Object.values(artworkUrls.val).forEach((url) => URL.revokeObjectURL(url));
+  artworkUrls.val = {};
+}
+
+// Generated tile for files without artwork: a gradient hued from the title, with a media glyph
+function getPlaceholderArtwork(file) {
+  let hash = 0;
+  for (const char of getDisplayName(file)) {
+    hash = (hash * 31 + char.codePointAt(0)) >>> 0;
+  }
+  const hue = hash % 360;
+  const glyph = file.type.startsWith("video/") ? "▶" : "♪";
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 100 100">`
+    + `<defs><linearGradient id="g" x1="0" y1="0" x2="1" y2="1">`
+    + `<stop offset="0" stop-color="hsl(${hue}, 55%, 40%)"/>`
+    + `<stop offset="1" stop-color="hsl(${(hue + 50) % 360}, 55%, 20%)"/>`
+    + `</linearGradient></defs>`
+    + `<rect width="100" height="100" fill="url(#g)"/>`
+    + `<text x="50" y="50" dy="0.35em" text-anchor="middle" font-size="44" fill="rgba(255,255,255,0.8)">${glyph}</text>`
+    + `</svg>`;
+  return `data:image/svg+xml,${encodeURIComponent(svg)}`;
+}
+
+function getArtworkUrl(file) {
+  return artworkUrls.val[file.id] || getPlaceholderArtwork(file);
+}
+
 function normalizeMediaFileRecord(file) {
   const progress = Number.isFinite(file.progress) ? file.progress : 0;
   const duration = Number.isFinite(file.duration) ? file.duration : 0;
   const interactedAt = typeof file.interactedAt === "string" ? file.interactedAt : null;
+  const relativePath = typeof file.relativePath === "string" ? file.relativePath : "";
+  const lastPlayedAt = typeof file.lastPlayedAt === "string" ? file.lastPlayedAt : null;
+  // undefined means the embedded tags have not been scanned yet, null that there were none
+  const tags = file.tags === null || typeof file.tags === "object" ? file.tags : undefined;
+  const hasArtwork = typeof file.hasArtwork === "boolean" ? file.hasArtwork : undefined;
+  const hasThumbnail = typeof file.hasThumbnail === "boolean" ? file.hasThumbnail : undefined;
+  const subtitleId = typeof file.subtitleId === "string" ? file.subtitleId : null;
+  // Sampled SHA-256 from hash.worker.js; undefined until hashed, null if hashing failed
+  const contentHash = file.contentHash === null || typeof file.contentHash === "string" ? file.contentHash : undefined;
+  // null means the file follows the playback defaults
+  const playbackRate = Number.isFinite(file.playbackRate) ? file.playbackRate : null;
+  // Kept by reference so derived states only see real loop changes
+  const loop = isValidLoop(file.loop) ? file.loop : null;
+  // Per-file equalizer override { preset, gains }, or null to follow the global one
+  const equalizer = Array.isArray(file.equalizer?.gains) ? file.equalizer : null;
+  // { db, peak, source } relative to -18 LUFS; undefined until measured, null if it couldn't be
+  const loudnessGain = file.loudnessGain === null || Number.isFinite(file.loudnessGain?.db)
+    ? file.loudnessGain
+    : undefined;
   const isNew = typeof file.isNew === "boolean"
     ? file.isNew
     : !(interactedAt || progress > 0 || duration > 0);
@@ -223,12 +407,23 @@ function normalizeMediaFileRecord(file) {
     duration,
     interactedAt,
     isNew,
+    relativePath,
+    lastPlayedAt,
+    tags,
+    hasArtwork,
+    hasThumbnail,
+    subtitleId,
+    contentHash,
+    playbackRate,
+    loop,
+    loudnessGain,
+    equalizer,
   };
 }
 
 function saveMediaFiles(updatedFiles) {
   mediaFiles.val = updatedFiles;
-  saveMetadataToLocalStorage(updatedFiles);
+  persistMediaFiles(updatedFiles);
 }
 
 function updateMediaFile(id, updater) {
@@ -253,17 +448,13 @@ function updateMediaFile(id, updater) {
 }
 
 function markFileInteracted(id) {
-  updateMediaFile(id, (file) => {
-    if (!file.isNew && file.interactedAt) {
-      return file;
-    }
-
-    return {
-      ...file,
-      isNew: false,
-      interactedAt: file.interactedAt || new Date().toISOString(),
-    };
-  });
+  const now = new Date().toISOString();
+  updateMediaFile(id, (file) => ({
+    ...file,
+    isNew: false,
+    interactedAt: file.interactedAt || now,
+    lastPlayedAt: now,
+  }));
 }
 
 function updateDuration(id, duration) {
@@ -280,6 +471,91 @@ function getCurrentFile() {
   return mediaFiles.val.find((file) => file.id === currentFileId.val) || null;
 }
 
+// Entries whose stored content couldn't be found keep their progress until the user removes them
+const isFileMissing = (file) => !file.file && !file.handle;
+
+function getDisplayName(file) {
+  return file.tags?.title || file.name || "Unnamed File";
+}
+
+function getDisplaySubtitle(file) {
+  return [file.tags?.artist, file.tags?.album].filter(Boolean).join(" — ");
+}
+
+// Playback speed
+function clampPlaybackRate(rate) {
+  const clamped = Math.min(Math.max(rate, MIN_PLAYBACK_RATE), MAX_PLAYBACK_RATE);
+  return Math.round(clamped * 100) / 100;
+}
+
+function getDefaultPlaybackRate(file) {
+  const defaults = playbackDefaults.val;
+  const typeRate = file.type.startsWith("video/") ? defaults.videoRate : defaults.audioRate;
+  return Number.isFinite(typeRate) ? typeRate : defaults.rate;
+}
+
+function getEffectivePlaybackRate(file) {
+  return file.playbackRate ?? getDefaultPlaybackRate(file);
+}
+
+function applyPreservesPitch(player) {
+  const { preservesPitch } = playbackDefaults.val;
+  if ("preservesPitch" in player) {
+    player.preservesPitch = preservesPitch;
+  } else if ("webkitPreservesPitch" in player) {
+    player.webkitPreservesPitch = preservesPitch;
+  } else if ("mozPreservesPitch" in player) {
+    player.mozPreservesPitch = preservesPitch;
+  }
+}
+
+// Load resets playbackRate to defaultPlaybackRate, so set both
+function applyPlaybackSettings(player, file) {
+  const rate = getEffectivePlaybackRate(file);
+  player.defaultPlaybackRate = rate;
+  player.playbackRate = rate;
+  applyPreservesPitch(player);
+  currentPlaybackRate.val = rate;
+}
+
+function setPlaybackRate(rate) {
+  const player = document.getElementById("media-player");
+  if (!player || !Number.isFinite(rate)) {
+    return;
+  }
+  // The ratechange handler stores it on the file
+  player.playbackRate = clampPlaybackRate(rate);
+}
+
+// Called from ratechange, so native speed menus are remembered too
+function rememberPlaybackRate(id, rate) {
+  currentPlaybackRate.val = rate;
+  updateMediaFile(id, (file) => (
+    rate === getEffectivePlaybackRate(file) ? file : { ...file, playbackRate: rate }
+  ));
+}
+
+function resetFilePlaybackRate(id) {
+  updateMediaFile(id, (file) => (file.playbackRate === null ? file : { ...file, playbackRate: null }));
+  const file = mediaFiles.val.find((item) => item.id === id);
+  if (file && currentFileId.val === id) {
+    setPlaybackRate(getDefaultPlaybackRate(file));
+  }
+}
+
+function setPlaybackDefaults(changes) {
+  playbackDefaults.val = { ...playbackDefaults.val, ...changes };
+  writeStoredJSON(PLAYBACK_DEFAULTS_KEY, playbackDefaults.val);
+  const player = document.getElementById("media-player");
+  if (player) {
+    applyPreservesPitch(player);
+  }
+}
+
+function isFileFinished(file) {
+  return file.duration > 0 && file.progress >= file.duration - 1;
+}
+
 function getFileProgressPercent(file) {
   if (!file || !Number.isFinite(file.duration) || file.duration <= 0) {
     return 0;
@@ -289,8 +565,52 @@ function getFileProgressPercent(file) {
   return Math.max(0, Math.min(100, (currentProgress / file.duration) * 100));
 }
 
-// Initialize IndexedDB
+// IndexedDB schema: entry N upgrades a database from version N to N + 1, so the version is
+// the length of this list. Append new steps; never edit or reorder ones that have shipped.
+// Each step tolerates stores that already exist, since the service worker can upgrade too.
+function createStore(db, name, indexes = []) {
+  if (db.objectStoreNames.contains(name)) {
+    return;
+  }
+  const store = db.createObjectStore(name, { keyPath: "id" });
+  indexes.forEach((index) => store.createIndex(index, index));
+  console.log(`${name} object store created successfully`);
+}
+
+const DB_MIGRATIONS = [
+  // { id: fileId, blob: File }
+  (db) => createStore(db, "mediaFiles"),
+  // Files shared from other apps, handed over by the service worker
+  (db) => createStore(db, "sharedFiles"),
+  // User-defined playlists
+  (db) => createStore(db, "playlists"),
+  // Downscaled artwork thumbnails: { id: fileId, blob }
+  (db) => createStore(db, "artwork"),
+  // Captured video frames: { id: fileId, blob }
+  (db) => createStore(db, "thumbnails"),
+  // WebVTT subtitles: { id, fileId, label, language, vtt }
+  (db) => createStore(db, "subtitles", ["fileId"]),
+  // Timestamped bookmarks: { id, fileId, time, label, note, createdAt }
+  (db) => createStore(db, "bookmarks", ["fileId"]),
+  // Media file records (everything but the blob), previously kept in Local Storage
+  (db) => createStore(db, "metadata"),
+];
+const DB_VERSION = DB_MIGRATIONS.length; // Keep in sync with the service worker
+
+// One shared connection; reopened if another tab upgrades the schema underneath it
+let dbConnection = null;
+
 function initDB() {
+  if (!dbConnection) {
+    dbConnection = openDB().catch((error) => {
+      dbConnection = null;
+      throw error;
+    });
+  }
+  return dbConnection;
+}
+
+function openDB() {
   return new Promise((resolve, reject) => {
     // Check for storage availability first
     if (!("indexedDB" in window)) {
@@ -311,20 +631,13 @@ function initDB() {
     }
 
     console.log("Opening IndexedDB...");
-    const request = indexedDB.open("localfilesDB", 2); // Updated version to match service worker
+    const request = indexedDB.open("localfilesDB", DB_VERSION);
 
     request.onupgradeneeded = (event) => {
-      console.log("Database upgrade needed, creating object stores");
+      console.log(`Database upgrade needed from version ${event.oldVersion} to ${DB_VERSION}`);
       const db = event.target.result;
-      if (!db.objectStoreNames.contains("mediaFiles")) {
-        // Object store will now hold { id: fileId, blob: File }
-        db.createObjectStore("mediaFiles", { keyPath: "id" });
-        console.log("mediaFiles object store created successfully");
-      }
-      if (!db.objectStoreNames.contains("sharedFiles")) {
-        // Object store for shared files from other apps
-        db.createObjectStore("sharedFiles", { keyPath: "id" });
-        console.log("sharedFiles object store created successfully");
+      for (let version = event.oldVersion; version < DB_VERSION; version++) {
+        DB_MIGRATIONS[version](db);
       }
     };
 
@@ -336,6 +649,10 @@ function initDB() {
       db.onerror = (event) => {
         console.error("Database error:", event.target.errorCode);
       };
+      db.onversionchange = () => {
+        db.close();
+        dbConnection = null;
+      };
 
       resolve(db);
     };
@@ -370,19 +687,299 @@ function dbOperation(db, storeName, mode, operation) {
   });
 }
 
-// IndexedDB Blob Storage Helper Functions
-const storeFileBlob = (db, fileId, fileBlob) =>
-  dbOperation(db, "mediaFiles", "readwrite", store => store.put({ id: fileId, blob: fileBlob }));
+// Runs several requests in one transaction and resolves once it commits, so they land
+// together or not at all. operation gets the stores by name.
+function dbTransaction(db, storeNames, mode, operation) {
+  return new Promise((resolve, reject) => {
+    if (!db) {
+      console.error(`Database not initialized`);
+      return reject(new Error("Database not initialized"));
+    }
+    const transaction = db.transaction(storeNames, mode);
+    const stores = Object.fromEntries(storeNames.map((name) => [name, transaction.objectStore(name)]));
+    const result = operation(stores);
+    transaction.oncomplete = () => resolve(result);
+    transaction.onerror = (e) => reject(e.target.error);
+    transaction.onabort = () => reject(transaction.error || new Error("Transaction aborted"));
+  });
+}
+
+// Media Stores: where file contents live. Every store implements
+//   put(key, content, { onProgress }) -> source, saved in the mediaFiles object store
+//   get(source, meta, { prompt }) -> File, or null if it can't be read right now
+//   delete(key, source), list() -> keys it holds content for, clear(), usage() -> bytes
+// and owns(source) / keyOf(source) to tell which sources are its own and under which key. The
+// key is the file ID, except while content is replaced. Stores never see metadata records: the
+// library writes a source and its record in one IndexedDB transaction, and undoes put() if
+// that fails, so a record never points at missing content.
+
+const readMediaSources = (db) =>
+  dbOperation(db, "mediaFiles", "readonly", store => store.getAll())
+    .then(result => result || []);
+
+const sumSizes = (blobs) => blobs.reduce((total, blob) => total + (blob?.size || 0), 0);
+
+// Blobs travel inside the source itself, so they land in the same transaction as the record
+function createIndexedDBMediaStore() {
+  const listSources = async () => (await readMediaSources(await initDB())).filter((source) => source.blob);
+
+  return {
+    kind: "indexeddb",
+    // Large blobs make IndexedDB slow and hit quota errors
+    maxFileSize: 1000 * 1024 * 1024,
+    owns: (source) => !!source.blob,
+    keyOf: (source) => source.id,
+    put: async (id, blob) => ({ blob }),
+    get: async (source) => source.blob,
+    // The blob goes away with its source entry
+    delete: async () => {},
+    list: async () => (await listSources()).map((source) => source.id),
+    clear: async () => {
+      const sources = await listSources();
+      await dbTransaction(await initDB(), ["mediaFiles"], "readwrite", (stores) => {
+        sources.forEach((source) => stores.mediaFiles.delete(source.id));
+      });
+    },
+    usage: async () => sumSizes((await listSources()).map((source) => source.blob)),
+  };
+}
+
+// Origin Private File System: files are streamed in chunks, named by file ID
+const OPFS_MEDIA_DIRECTORY = "media";
+const OPFS_CHUNK_SIZE = 8 * 1024 * 1024;
+const supportsOpfs = !!navigator.storage?.getDirectory
+  && typeof FileSystemFileHandle !== "undefined"
+  && "createWritable" in FileSystemFileHandle.prototype;
+
+function createOpfsMediaStore() {
+  const getDirectory = async () =>
+    (await navigator.storage.getDirectory()).getDirectoryHandle(OPFS_MEDIA_DIRECTORY, { create: true });
+  const ignoreMissing = (error) => {
+    if (error.name !== "NotFoundError") {
+      throw error;
+    }
+  };
+
+  return {
+    kind: "opfs",
+    maxFileSize: Infinity,
+    owns: (source) => !!source.opfs,
+    keyOf: (source) => source.opfs,
+    async put(id, blob, { onProgress } = {}) {
+      const directory = await getDirectory();
+      const writable = await (await directory.getFileHandle(id, { create: true })).createWritable();
+      try {
+        for (let offset = 0; offset < blob.size; offset += OPFS_CHUNK_SIZE) {
+          await writable.write(blob.slice(offset, offset + OPFS_CHUNK_SIZE));
+          onProgress?.(Math.min(offset + OPFS_CHUNK_SIZE, blob.size));
+        }
+        await writable.close();
+      } catch (error) {
+        await writable.abort().catch(() => {});
+        await directory.removeEntry(id).catch(() => {});
+        throw error;
+      }
+      return { opfs: id };
+    },
+    // The stored file is named by ID, so the record supplies the real name and type
+    async get(source, meta) {
+      const file = await (await (await getDirectory()).getFileHandle(source.opfs)).getFile();
+      return new File([file], meta.name, { type: meta.type, lastModified: file.lastModified });
+    },
+    async delete(id, source) {
+      await (await getDirectory()).removeEntry(source?.opfs ?? id).catch(ignoreMissing);
+    },
+    async list() {
+      const names = [];
+      if (!supportsOpfs) {
+        return names;
+      }
+      for await (const name of (await getDirectory()).keys()) {
+        names.push(name);
+      }
+      return names;
+    },
+    async clear() {
+      if (!supportsOpfs) {
+        return;
+      }
+      await (await navigator.storage.getDirectory())
+        .removeEntry(OPFS_MEDIA_DIRECTORY, { recursive: true })
+        .catch(ignoreMissing);
+    },
+    async usage() {
+      if (!supportsOpfs) {
+        return 0;
+      }
+      const directory = await getDirectory();
+      const files = [];
+      for await (const handle of directory.values()) {
+        files.push(await handle.getFile());
+      }
+      return sumSizes(files);
+    },
+  };
+}
+
+// Linked files: the original stays where it is and only its FileSystemFileHandle is kept
+function createFileHandleMediaStore() {
+  return {
+    kind: "handle",
+    maxFileSize: Infinity,
+    owns: (source) => !!source.handle,
+    keyOf: (source) => source.id,
+    put: async (id, handle) => ({ handle }),
+    // Read permission lapses when the page is closed; asking again needs a user gesture
+    async get(source, meta, { prompt = false } = {}) {
+      const options = { mode: "read" };
+      let permission = await source.handle.queryPermission(options);
+      if (permission === "prompt" && prompt) {
+        permission = await source.handle.requestPermission(options);
+      }
+      return permission === "granted" ? source.handle.getFile() : null;
+    },
+    // The original file is never touched
+    delete: async () => {},
+    list: async () => (await readMediaSources(await initDB())).filter((source) => source.handle).map((source) => source.id),
+    clear: async () => {},
+    usage: async () => 0,
+  };
+}
+
+// Contents last until the page is closed; for storage experiments
+function createMemoryMediaStore() {
+  const blobs = new Map();
+
+  return {
+    kind: "memory",
+    maxFileSize: Infinity,
+    owns: (source) => !!source.memory,
+    keyOf: (source) => source.memory,
+    put: async (id, blob) => {
+      blobs.set(id, blob);
+      return { memory: id };
+    },
+    get: async (source) => blobs.get(source.memory) || null,
+    delete: async (id, source) => {
+      blobs.delete(source?.memory ?? id);
+    },
+    list: async () => [...blobs.keys()],
+    clear: async () => blobs.clear(),
+    usage: async () => sumSizes([...blobs.values()]),
+  };
+}
+
+const mediaStores = {
+  indexeddb: createIndexedDBMediaStore(),
+  opfs: createOpfsMediaStore(),
+  handle: createFileHandleMediaStore(),
+  memory: createMemoryMediaStore(),
+};
+
+// Copied files go to OPFS where it is writable. Setting the "mediaStore" Local Storage key to
+// "indexeddb", "opfs" or "memory" overrides that for experiments.
+const MEDIA_STORE_KEY = "mediaStore";
+const copyMediaStore = (() => {
+  const requested = localStorage.getItem(MEDIA_STORE_KEY);
+  if (requested && requested !== "handle" && mediaStores[requested] && (requested !== "opfs" || supportsOpfs)) {
+    return mediaStores[requested];
+  }
+  return supportsOpfs ? mediaStores.opfs : mediaStores.indexeddb;
+})();
+
+const getSourceStore = (source) => Object.values(mediaStores).find((store) => store.owns(source)) || null;
+
+// Media File Helper Functions: each file is a source in the mediaFiles object store plus a
+// metadata record, always written together
+const toStoredMetadata = (file) => {
+  const meta = { ...file };
+  delete meta.file;
+  delete meta.handle;
+  return meta;
+};
+
+// Last record written for each file ID, so saves only touch records that changed
+const persistedMetadata = new Map();
+
+// Content keys written but whose source isn't committed yet; the leftover sweep skips them
+const pendingMediaWrites = new Set();
+
+// Linked records (with a handle) go to the handle store, everything else is copied
+async function storeMediaFile(db, record, { onProgress, contentKey = record.id } = {}) {
+  const store = record.handle ? mediaStores.handle : copyMediaStore;
+  pendingMediaWrites.add(contentKey);
+  try {
+    const source = await store.put(contentKey, record.handle || record.file, { onProgress });
+    try {
+      await dbTransaction(db, ["mediaFiles", "metadata"], "readwrite", (stores) => {
+        stores.mediaFiles.put({ id: record.id, ...source });
+        stores.metadata.put(toStoredMetadata(record));
+      });
+    } catch (error) {
+      await store.delete(contentKey, source).catch(handleError);
+      throw error;
+    }
+  } finally {
+    pendingMediaWrites.delete(contentKey);
+  }
+  persistedMetadata.set(record.id, record);
+}
+
+async function readMediaFile(source, meta, options = {}) {
+  const store = getSourceStore(source);
+  return store ? store.get(source, meta, options) : null;
+}
+
+const storeMetadataRecords = (db, records) =>
+  dbTransaction(db, ["metadata"], "readwrite", ({ metadata }) => {
+    records.forEach((record) => metadata.put(toStoredMetadata(record)));
+  });
 
-const retrieveFileBlob = (db, fileId) =>
-  dbOperation(db, "mediaFiles", "readonly", store => store.get(fileId))
-    .then(result => result ? result.blob : null);
+// Resolves to { records, sources } where sources maps file IDs to their mediaFiles entries
+const retrieveAllMediaFiles = (db) =>
+  dbTransaction(db, ["mediaFiles", "metadata"], "readonly", (stores) => ({
+    sourceRequest: stores.mediaFiles.getAll(),
+    recordRequest: stores.metadata.getAll(),
+  })).then(({ sourceRequest, recordRequest }) => ({
+    records: recordRequest.result || [],
+    sources: new Map((sourceRequest.result || []).map((item) => [item.id, item])),
+  }));
+
+async function removeMediaFile(db, fileId) {
+  const source = await dbOperation(db, "mediaFiles", "readonly", store => store.get(fileId));
+  await dbTransaction(db, ["mediaFiles", "metadata"], "readwrite", (stores) => {
+    stores.mediaFiles.delete(fileId);
+    stores.metadata.delete(fileId);
+  });
+  persistedMetadata.delete(fileId);
+  if (source) {
+    await getSourceStore(source)?.delete(fileId, source);
+  }
+}
 
-const removeFileBlob = (db, fileId) =>
-  dbOperation(db, "mediaFiles", "readwrite", store => store.delete(fileId));
+async function clearAllMediaFiles(db) {
+  await dbTransaction(db, ["mediaFiles", "metadata"], "readwrite", (stores) => {
+    stores.mediaFiles.clear();
+    stores.metadata.clear();
+  });
+  persistedMetadata.clear();
+  for (const store of Object.values(mediaStores)) {
+    await store.clear();
+  }
+}
 
-const clearAllFileBlobs = (db) =>
-  dbOperation(db, "mediaFiles", "readwrite", store => store.clear());
+// Points a file at new content, unless it was removed or moved by something else meanwhile.
+// Resolves to whether the swap happened.
+const replaceMediaSource = (db, fileId, fromStore, source) =>
+  dbTransaction(db, ["mediaFiles"], "readwrite", (stores) => {
+    const request = stores.mediaFiles.get(fileId);
+    request.onsuccess = () => {
+      if (request.result && fromStore.owns(request.result)) {
+        stores.mediaFiles.put({ id: fileId, ...source });
+      }
+    };
+    return request;
+  }).then((request) => !!request.result && fromStore.owns(request.result));
 
 // Shared Files Helper Functions
 const retrieveSharedFiles = (db) =>
@@ -392,6 +989,81 @@ const retrieveSharedFiles = (db) =>
 const clearSharedFiles = (db) =>
   dbOperation(db, "sharedFiles", "readwrite", store => store.clear());
 
+// Artwork Helper Functions
+const storeArtwork = (db, fileId, blob) =>
+  dbOperation(db, "artwork", "readwrite", store => store.put({ id: fileId, blob }));
+
+const retrieveAllArtwork = (db) =>
+  dbOperation(db, "artwork", "readonly", store => store.getAll())
+    .then(result => result || []);
+
+const removeArtwork = (db, fileId) =>
+  dbOperation(db, "artwork", "readwrite", store => store.delete(fileId));
+
+const clearAllArtwork = (db) =>
+  dbOperation(db, "artwork", "readwrite", store => store.clear());
+
+// Video Thumbnail Helper Functions
+const storeThumbnail = (db, fileId, blob) =>
+  dbOperation(db, "thumbnails", "readwrite", store => store.put({ id: fileId, blob }));
+
+const retrieveAllThumbnails = (db) =>
+  dbOperation(db, "thumbnails", "readonly", store => store.getAll())
+    .then(result => result || []);
+
+const removeThumbnail = (db, fileId) =>
+  dbOperation(db, "thumbnails", "readwrite", store => store.delete(fileId));
+
+const clearAllThumbnails = (db) =>
+  dbOperation(db, "thumbnails", "readwrite", store => store.clear());
+
+// Subtitle Helper Functions
+const storeSubtitle = (db, subtitle) =>
+  dbOperation(db, "subtitles", "readwrite", store => store.put(subtitle));
+
+const retrieveSubtitlesForFile = (db, fileId) =>
+  dbOperation(db, "subtitles", "readonly", store => store.index("fileId").getAll(fileId))
+    .then(result => result || []);
+
+const removeSubtitle = (db, subtitleId) =>
+  dbOperation(db, "subtitles", "readwrite", store => store.delete(subtitleId));
+
+const retrieveAllSubtitles = (db) =>
+  dbOperation(db, "subtitles", "readonly", store => store.getAll())
+    .then(result => result || []);
+
+const clearAllSubtitles = (db) =>
+  dbOperation(db, "subtitles", "readwrite", store => store.clear());
+
+// Bookmark Helper Functions
+const storeBookmark = (db, bookmark) =>
+  dbOperation(db, "bookmarks", "readwrite", store => store.put(bookmark));
+
+const retrieveAllBookmarks = (db) =>
+  dbOperation(db, "bookmarks", "readonly", store => store.getAll())
+    .then(result => result || []);
+
+const retrieveBookmarksForFile = (db, fileId) =>
+  dbOperation(db, "bookmarks", "readonly", store => store.index("fileId").getAll(fileId))
+    .then(result => result || []);
+
+const removeBookmark = (db, bookmarkId) =>
+  dbOperation(db, "bookmarks", "readwrite", store => store.delete(bookmarkId));
+
+const clearAllBookmarks = (db) =>
+  dbOperation(db, "bookmarks", "readwrite", store => store.clear());
+
+// Playlist Helper Functions
+const retrieveAllPlaylists = (db) =>
+  dbOperation(db, "playlists", "readonly", store => store.getAll())
+    .then(result => result || []);
+
+const storePlaylist = (db, playlist) =>
+  dbOperation(db, "playlists", "readwrite", store => store.put(playlist));
+
+const removePlaylist = (db, playlistId) =>
+  dbOperation(db, "playlists", "readwrite", store => store.delete(playlistId));
+
 // Process shared files and add them to the main media library
 async function processSharedFiles() {
   try {
@@ -423,33 +1095,110 @@ async function processSharedFiles() {
   }
 }
 
-// Local Storage Metadata Helper Functions
+// Legacy Metadata Migration
+// Media file records used to live in Local Storage; they are moved into IndexedDB once
 const LOCAL_STORAGE_METADATA_KEY = "localFilesAppMetadata";
 
-function getMetadataFromLocalStorage() {
+async function importLegacyMetadata(db) {
+  const metadataJson = localStorage.getItem(LOCAL_STORAGE_METADATA_KEY);
+  if (metadataJson === null) {
+    return;
+  }
+
+  let records = [];
   try {
-    const metadataJson = localStorage.getItem(LOCAL_STORAGE_METADATA_KEY);
-    return metadataJson ? JSON.parse(metadataJson) : [];
+    const parsed = JSON.parse(metadataJson);
+    records = Array.isArray(parsed) ? parsed.filter((record) => typeof record?.id === "string") : [];
   } catch (error) {
     handleError(error);
-    return [];
   }
+
+  // Anything already in IndexedDB is newer than what was left behind in Local Storage
+  const existingIds = new Set(await dbOperation(db, "metadata", "readonly", store => store.getAllKeys()));
+  const legacyRecords = records.filter((record) => !existingIds.has(record.id));
+  await storeMetadataRecords(db, legacyRecords);
+  localStorage.removeItem(LOCAL_STORAGE_METADATA_KEY);
+  console.log(`Moved ${legacyRecords.length} metadata entries from Local Storage to IndexedDB.`);
 }
 
-function saveMetadataToLocalStorage(metadataArray) {
+// Moves copies kept in another persistent store (IndexedDB blobs from before OPFS, say) into
+// the copy store one file at a time, and removes content that no source points at any more
+let isMigratingMedia = false;
+
+async function migrateMediaStores() {
+  if (isMigratingMedia || copyMediaStore === mediaStores.memory) {
+    return;
+  }
+
+  isMigratingMedia = true;
   try {
-    // Ensure we don't store the actual file blob in local storage
-    const storableMetadata = metadataArray.map((file) => {
-      const { file: blob, ...meta } = file; // eslint-disable-line no-unused-vars
-      return meta;
+    const db = await initDB();
+    const isReferenced = (store, key, sources) => (
+      pendingMediaWrites.has(key) || sources.some((source) => store.owns(source) && store.keyOf(source) === key)
+    );
+    let sources = await readMediaSources(db);
+    for (const store of Object.values(mediaStores)) {
+      for (const key of await store.list()) {
+        // Imports can run meanwhile, so a candidate is checked against fresh sources before it goes
+        if (!isReferenced(store, key, sources) && !isReferenced(store, key, await readMediaSources(db))) {
+          console.log(`Removing leftover ${store.kind} content for ${key}`);
+          await store.delete(key);
+        }
+      }
+    }
+
+    sources = await readMediaSources(db);
+
+    const movable = sources.filter((source) => {
+      const store = getSourceStore(source);
+      return store && store !== copyMediaStore && store !== mediaStores.handle && store !== mediaStores.memory;
     });
-    localStorage.setItem(LOCAL_STORAGE_METADATA_KEY, JSON.stringify(storableMetadata));
+    for (const [index, source] of movable.entries()) {
+      const record = mediaFiles.val.find((file) => file.id === source.id);
+      if (!record?.file) {
+        continue;
+      }
+      const fromStore = getSourceStore(source);
+      console.log(`Moving ${record.name} from ${fromStore.kind} to ${copyMediaStore.kind} (${index + 1}/${movable.length})`);
+      const nextSource = await copyMediaStore.put(source.id, record.file);
+      if (!await replaceMediaSource(db, source.id, fromStore, nextSource)) {
+        await copyMediaStore.delete(source.id, nextSource);
+        continue;
+      }
+      await fromStore.delete(source.id, source);
+      const file = await copyMediaStore.get(nextSource, record);
+      updateMediaFile(source.id, (current) => ({ ...current, file }));
+    }
+
+    for (const store of Object.values(mediaStores)) {
+      const bytes = await store.usage();
+      if (bytes > 0) {
+        console.log(`Media store ${store.kind}: ${(bytes / 1024 / 1024).toFixed(1)} MB`);
+      }
+    }
   } catch (error) {
     handleError(error);
-    if (error.name === "QuotaExceededError") {
-      alert("Local Storage quota exceeded. Cannot save file list. Please clear some browser data.");
-    }
+  } finally {
+    isMigratingMedia = false;
+  }
+}
+
+// Writes the records that changed since they were last stored; removals go through removeMediaFile
+function persistMediaFiles(files) {
+  const changed = files.filter((file) => persistedMetadata.get(file.id) !== file);
+  if (changed.length === 0) {
+    return;
   }
+
+  changed.forEach((file) => persistedMetadata.set(file.id, file));
+  initDB()
+    .then((db) => storeMetadataRecords(db, changed))
+    .catch((error) => {
+      handleError(error);
+      if (error.name === "QuotaExceededError") {
+        alert("Storage quota exceeded. Cannot save file list. Please clear some browser data.");
+      }
+    });
 }
 
 // Load data (Refactored)
@@ -458,25 +1207,113 @@ const loadData = async () => {
     isLoading.val = true;
     console.log("Loading data...");
     const db = await initDB();
-    const metadataArray = getMetadataFromLocalStorage();
-    console.log(`Loaded ${metadataArray.length} metadata entries from Local Storage.`);
+    await importLegacyMetadata(db);
+    const { records, sources } = await retrieveAllMediaFiles(db);
+    console.log(`Loaded ${records.length} metadata entries from IndexedDB.`);
+
+    // In-memory content never outlives the page, so sources pointing at it are stale after a
+    // reload. Only the pointers go; the records stay, marked missing.
+    const staleIds = [...sources.values()].filter((source) => mediaStores.memory.owns(source)).map((source) => source.id);
+    if (staleIds.length > 0) {
+      await dbTransaction(db, ["mediaFiles"], "readwrite", (stores) => {
+        staleIds.forEach((id) => stores.mediaFiles.delete(id));
+      });
+      staleIds.forEach((id) => sources.delete(id));
+    }
 
-    const filesWithBlobs = [];
-    for (const meta of metadataArray) {
-      try {
-        const blob = await retrieveFileBlob(db, meta.id);
-        if (blob) {
-          filesWithBlobs.push(normalizeMediaFileRecord({ ...meta, file: blob }));
-        } else {
-          console.warn(`Blob not found in IndexedDB for file ID: ${meta.id}. Skipping file.`);
+    // Records written before metadata moved into IndexedDB can still be missing their blob. They
+    // stay in the library marked missing, so their progress survives until the user removes them.
+    const orphanIds = records.filter((meta) => !sources.has(meta.id)).map((meta) => meta.id);
+    if (orphanIds.length > 0) {
+      console.warn(`${orphanIds.length} metadata entries have no stored blob: ${orphanIds.join(", ")}`);
+    }
+
+    // ...or a blob can have lost its record; the stored File still knows its name and type
+    const recordIds = new Set(records.map((meta) => meta.id));
+    const recovered = [...sources.values()]
+      .filter(({ id, blob }) => blob && !recordIds.has(id))
+      .map(({ id, blob }) => normalizeMediaFileRecord({
+        id,
+        name: blob.name || id,
+        type: blob.type,
+        size: blob.size,
+        file: blob,
+        dateAdded: new Date(blob.lastModified || Date.now()).toISOString(),
+      }));
+    if (recovered.length > 0) {
+      console.warn(`Recovered ${recovered.length} stored files whose metadata was missing.`);
+      await storeMetadataRecords(db, recovered);
+    }
+
+    // Each record's content comes from the store that owns its source. Linked files open right
+    // away only if the browser kept their permission. Content that can't be read now (a transient
+    // OPFS error, say) leaves the record marked missing; it is read again on the next load.
+    const storedFiles = [];
+    for (const meta of records) {
+      const source = sources.get(meta.id);
+      if (!source) {
+        storedFiles.push(normalizeMediaFileRecord(meta));
+        continue;
+      }
+      const file = await readMediaFile(source, meta).catch((error) => {
+        console.warn(`Could not read ${meta.name}:`, error);
+        return null;
+      });
+      if (source.handle) {
+        storedFiles.push(normalizeMediaFileRecord({ ...meta, file, handle: source.handle }));
+      } else {
+        if (!file) {
+          console.warn(`Stored content of ${meta.name} could not be read, keeping it as missing.`);
         }
-      } catch (error) {
-        handleError(error);
+        storedFiles.push(normalizeMediaFileRecord({ ...meta, file }));
       }
     }
 
+    const filesWithBlobs = [
+      ...storedFiles,
+      ...recovered,
+    ].sort((a, b) => (a.dateAdded || "").localeCompare(b.dateAdded || "") || naturalCompare(a.id, b.id));
+    persistedMetadata.clear();
+    filesWithBlobs.forEach((file) => persistedMetadata.set(file.id, file));
+
     mediaFiles.val = [...filesWithBlobs]; // Force reactivity
     console.log(`Updated mediaFiles state with ${filesWithBlobs.length} files.`);
+    pruneQueue();
+    migrateMediaStores();
+
+    try {
+      // Embedded artwork wins over a captured video frame
+      const knownIds = new Set(filesWithBlobs.map((file) => file.id));
+      [...await retrieveAllThumbnails(db), ...await retrieveAllArtwork(db)]
+        .filter((image) => knownIds.has(image.id))
+        .forEach((image) => setArtworkBlob(image.id, image.blob));
+    } catch (error) {
+      handleError(error);
+    }
+    scanMissingMetadata();
+
+    try {
+      const knownIds = new Set(filesWithBlobs.map((file) => file.id));
+      const grouped = {};
+      for (const bookmark of await retrieveAllBookmarks(db)) {
+        if (knownIds.has(bookmark.fileId)) {
+          (grouped[bookmark.fileId] ||= []).push(bookmark);
+        }
+      }
+      Object.values(grouped).forEach((items) => items.sort((a, b) => a.time - b.time));
+      bookmarks.val = grouped;
+    } catch (error) {
+      handleError(error);
+    }
+
+    try {
+      playlists.val = (await retrieveAllPlaylists(db))
+        .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+      console.log(`Loaded ${playlists.val.length} playlists from IndexedDB.`);
+      prunePlaylists();
+    } catch (error) {
+      handleError(error);
+    }
     isLoading.val = false;
     return mediaFiles.val;
   } catch (error) {
@@ -486,35 +1323,490 @@ const loadData = async () => {
   }
 };
 
+// Browsers leave the MIME type empty for formats they don't register (.mkv, .opus, some .flac)
+const MEDIA_EXTENSION_PATTERN = /\.(mp3|m4a|m4b|aac|flac|ogg|oga|opus|wav|weba|wma|mp4|m4v|mkv|webm|mov|avi|ogv|wmv|3gp)$/i;
+
+const isMediaFile = (file) => /^(audio|video)\//.test(file.type)
+  || (!file.type && MEDIA_EXTENSION_PATTERN.test(file.name || ""));
+
+// Runs tasks in a lazily started worker; each message gets an id so replies can be matched up.
+// Replies carrying a progress field go to the caller's onProgress and leave the task pending.
+function createWorkerClient(createWorker) {
+  let worker = null;
+  let nextRequestId = 0;
+  const pending = new Map();
+
+  return (payload, transfer = [], { onProgress } = {}) => {
+    if (!worker) {
+      worker = createWorker();
+      worker.onmessage = ({ data }) => {
+        const request = pending.get(data.id);
+        if ("progress" in data) {
+          request?.onProgress?.(data.progress);
+          return;
+        }
+        pending.delete(data.id);
+        if (data.error) {
+          request?.reject(new Error(data.error));
+        } else {
+          request?.resolve(data);
+        }
+      };
+      worker.onerror = (event) => {
+        console.error("Worker error:", event.message);
+        pending.forEach(({ reject }) => reject(new Error(event.message || "Worker failed")));
+        pending.clear();
+        worker.terminate();
+        worker = null;
+      };
+    }
+
+    return new Promise((resolve, reject) => {
+      const id = ++nextRequestId;
+      pending.set(id, { resolve, reject, onProgress });
+      worker.postMessage({ id, ...payload }, transfer);
+    });
+  };
+}
+
+const runTagWorker = createWorkerClient(
+  () => new Worker(new URL("./tags.worker.js", import.meta.url), { type: "module" })
+);
+
+// Read embedded tags and artwork for files that have not been scanned yet, one at a time in the background
+let isScanningMetadata = false;
+async function scanMissingMetadata() {
+  if (isScanningMetadata || typeof Worker === "undefined") {
+    return;
+  }
+
+  isScanningMetadata = true;
+  try {
+    let file;
+    const needsScan = (item) => item.file && (item.tags === undefined || item.hasArtwork === undefined);
+    while ((file = mediaFiles.val.find(needsScan))) {
+      let tags = null;
+      let artwork = null;
+      try {
+        ({ tags, artwork } = await runTagWorker({ file: file.file }));
+        console.log(`Read tags for ${file.name}:`, tags);
+      } catch (error) {
+        console.warn(`Could not read tags for ${file.name}:`, error);
+      }
+
+      if (artwork) {
+        try {
+          const db = await initDB();
+          await storeArtwork(db, file.id, artwork);
+          setArtworkBlob(file.id, artwork);
+        } catch (error) {
+          handleError(error);
+          artwork = null;
+        }
+      }
+      updateMediaFile(file.id, (current) => ({ ...current, tags, hasArtwork: Boolean(artwork) }));
+    }
+  } finally {
+    isScanningMetadata = false;
+  }
+
+  scanMissingHashes();
+}
+
+const runHashWorker = createWorkerClient(
+  () => new Worker(new URL("./hash.worker.js", import.meta.url), { type: "module" })
+);
+
+// Resolves to null where workers are unavailable or the file can't be read
+async function computeContentHash(file) {
+  if (typeof Worker === "undefined") {
+    return null;
+  }
+  try {
+    return (await runHashWorker({ file })).hash;
+  } catch (error) {
+    console.warn(`Could not hash ${file.name}:`, error);
+    return null;
+  }
+}
+
+// Fingerprint files added before hashing existed, so new imports can be matched against them
+let isScanningHashes = false;
+async function scanMissingHashes() {
+  if (isScanningHashes || typeof Worker === "undefined") {
+    return;
+  }
+
+  isScanningHashes = true;
+  try {
+    let file;
+    while ((file = mediaFiles.val.find((item) => item.file && item.contentHash === undefined))) {
+      const contentHash = await computeContentHash(file.file);
+      updateMediaFile(file.id, (current) => ({ ...current, contentHash }));
+    }
+  } finally {
+    isScanningHashes = false;
+  }
+
+  scanMissingThumbnails();
+}
+
+const THUMBNAIL_WIDTH = 320;
+const THUMBNAIL_TIMEOUT_MS = 15000;
+
+// Seek an offscreen video to ~10% of its duration and draw that frame to a canvas
+function captureVideoFrame(blob) {
+  return new Promise((resolve, reject) => {
+    const video = document.createElement("video");
+    const url = URL.createObjectURL(blob);
+    const cleanup = () => {
+      clearTimeout(timeout);
+      video.removeAttribute("src");
+      video.load();
+      URL.revokeObjectURL(url);
+    };
+    const fail = (error) => {
+      cleanup();
+      reject(error);
+    };
+    const timeout = setTimeout(() => fail(new Error("Timed out capturing video frame")), THUMBNAIL_TIMEOUT_MS);
+
+    video.muted = true;
+    video.playsInline = true;
+    video.preload = "metadata";
+    video.onloadedmetadata = () => {
+      video.currentTime = Number.isFinite(video.duration) ? Math.max(0.1, video.duration * 0.1) : 0.1;
+    };
+    video.onseeked = () => {
+      const scale = Math.min(1, THUMBNAIL_WIDTH / (video.videoWidth || THUMBNAIL_WIDTH));
+      const canvas = document.createElement("canvas");
+      canvas.width = Math.max(1, Math.round((video.videoWidth || THUMBNAIL_WIDTH) * scale));
+      canvas.height = Math.max(1, Math.round((video.videoHeight || THUMBNAIL_WIDTH * 0.5625) * scale));
+      canvas.getContext("2d").drawImage(video, 0, 0, canvas.width, canvas.height);
+      const duration = video.duration;
+      canvas.toBlob((thumbnail) => {
+        cleanup();
+        if (thumbnail) {
+          resolve({ thumbnail, duration });
+        } else {
+          reject(new Error("Could not encode video frame"));
+        }
+      }, "image/jpeg", 0.75);
+    };
+    video.onerror = () => fail(video.error || new Error("Could not load video"));
+    video.src = url;
+  });
+}
+
+const waitForIdle = () => new Promise((resolve) => {
+  if ("requestIdleCallback" in window) {
+    requestIdleCallback(resolve, { timeout: 2000 });
+  } else {
+    setTimeout(resolve, 200);
+  }
+});
+
+const runLoudnessWorker = createWorkerClient(
+  () => new Worker(new URL("./loudness.worker.js", import.meta.url), { type: "module" })
+);
+
+// Loudness normalization. Gains are stored ReplayGain-style, relative to -18 LUFS, so changing
+// the target never needs a rescan. Decoding at a low sample rate keeps long files within memory;
+// it slightly underweights treble, which is fine for an estimate. Files past LOUDNESS_MAX_BYTES
+// are measured from evenly spaced excerpts (see audio-excerpts.js) instead of decoded whole.
+const REFERENCE_LUFS = -18;
+const LOUDNESS_SAMPLE_RATE = 8000;
+const LOUDNESS_MAX_BYTES = 64 * 1024 * 1024;
+const MAX_NORMALIZATION_GAIN_DB = 12;
+// Large files used to be skipped with a null gain; they get one more pass now that excerpts work
+const LOUDNESS_RETRY_KEY = "loudnessLargeFilesRetried";
+
+// decodeAudioData runs off the main thread; the K-weighted measurement runs in the worker
+async function analyzeLoudness(blob) {
+  const OfflineContextClass = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+  if (!OfflineContextClass) {
+    return null;
+  }
+
+  const context = new OfflineContextClass(1, 1, LOUDNESS_SAMPLE_RATE);
+  const decode = async (part) => context.decodeAudioData(await part.arrayBuffer());
+  let channels = [];
+  let sampleRate;
+  if (blob.size > LOUDNESS_MAX_BYTES) {
+    ({ channels, sampleRate } = await decodeExcerpts(blob, decode));
+  } else {
+    const buffer = await decode(blob);
+    for (let index = 0; index < buffer.numberOfChannels; index++) {
+      const samples = new Float32Array(buffer.length);
+      buffer.copyFromChannel(samples, index);
+      channels.push(samples);
+    }
+    sampleRate = buffer.sampleRate;
+  }
+  const { integrated, peak } = await runLoudnessWorker(
+    { channels, sampleRate },
+    channels.map((samples) => samples.buffer),
+  );
+  return integrated === null ? null : { db: REFERENCE_LUFS - integrated, peak, source: "analysis" };
+}
+
+// ReplayGain tags win; other files are decoded one at a time, only while normalization is on
+let isScanningLoudness = false;
+async function scanMissingLoudness() {
+  if (isScanningLoudness || !normalizationSettings.val.enabled || typeof Worker === "undefined") {
+    return;
+  }
+
+  isScanningLoudness = true;
+  if (!localStorage.getItem(LOUDNESS_RETRY_KEY)) {
+    localStorage.setItem(LOUDNESS_RETRY_KEY, "true");
+    const isSkippedLargeFile = (file) => file.loudnessGain === null && file.size > LOUDNESS_MAX_BYTES;
+    if (mediaFiles.val.some(isSkippedLargeFile)) {
+      saveMediaFiles(mediaFiles.val.map((file) => (
+        isSkippedLargeFile(file) ? normalizeMediaFileRecord({ ...file, loudnessGain: undefined }) : file
+      )));
+    }
+  }
+  try {
+    let file;
+    const needsLoudness = (item) => item.file && item.tags !== undefined && item.loudnessGain === undefined;
+    while (normalizationSettings.val.enabled && (file = mediaFiles.val.find(needsLoudness))) {
+      let loudnessGain = null;
+      const replayGain = file.tags?.replayGain;
+      if (replayGain) {
+        loudnessGain = { db: replayGain.gain, peak: replayGain.peak, source: "tags" };
+      } else {
+        await waitForIdle();
+        try {
+          loudnessGain = await analyzeLoudness(file.file);
+          console.log(`Measured loudness for ${file.name}:`, loudnessGain);
+        } catch (error) {
+          console.warn(`Could not measure loudness for ${file.name}:`, error);
+        }
+      }
+      updateMediaFile(file.id, (current) => ({ ...current, loudnessGain }));
+    }
+  } finally {
+    isScanningLoudness = false;
+  }
+}
+
+// Linear gain for the target, held back so the known peak doesn't clip
+function getNormalizationGain(loudnessGain, target) {
+  const db = Math.min(loudnessGain.db + target - REFERENCE_LUFS, MAX_NORMALIZATION_GAIN_DB);
+  const gain = 10 ** (db / 20);
+  return loudnessGain.peak ? Math.min(gain, 1 / loudnessGain.peak) : gain;
+}
+
+function setNormalizationSettings(changes) {
+  normalizationSettings.val = { ...normalizationSettings.val, ...changes };
+  writeStoredJSON(NORMALIZATION_KEY, normalizationSettings.val);
+  if (normalizationSettings.val.enabled) {
+    ensureAudioGraph()?.context.resume();
+    scanMissingLoudness();
+  }
+}
+
+function applyNormalizationGain(loudnessGain, { enabled, target }) {
+  if (!audioGraph) {
+    return;
+  }
+  const gain = enabled && loudnessGain ? getNormalizationGain(loudnessGain, target) : 1;
+  audioGraph.normalizer.gain.setTargetAtTime(gain, audioGraph.context.currentTime, 0.05);
+  console.log(`Normalization gain set to ${gain.toFixed(3)}`);
+}
+
+// Capture frames for videos without embedded artwork, one at a time when the browser is idle
+let isScanningThumbnails = false;
+async function scanMissingThumbnails() {
+  if (isScanningThumbnails) {
+    return;
+  }
+
+  isScanningThumbnails = true;
+  try {
+    let file;
+    const needsThumbnail = (item) => (
+      item.file && item.type.startsWith("video/") && item.hasArtwork === false && item.hasThumbnail === undefined
+    );
+    while ((file = mediaFiles.val.find(needsThumbnail))) {
+      await waitForIdle();
+      let hasThumbnail = false;
+      try {
+        const { thumbnail, duration } = await captureVideoFrame(file.file);
+        const db = await initDB();
+        await storeThumbnail(db, file.id, thumbnail);
+        setArtworkBlob(file.id, thumbnail);
+        updateDuration(file.id, duration);
+        hasThumbnail = true;
+        console.log(`Captured thumbnail for ${file.name}`);
+      } catch (error) {
+        console.warn(`Could not capture thumbnail for ${file.name}:`, error);
+      }
+      updateMediaFile(file.id, (current) => ({ ...current, hasThumbnail }));
+    }
+  } finally {
+    isScanningThumbnails = false;
+  }
+
+  scanMissingLoudness();
+}
+
+// Progress text while imported files are copied into storage
+const copyStatus = van.state(null);
+
+// Duplicate imports: { name, existing, resolve } while the dialog asks what to do
+const pendingDuplicate = van.state(null);
+
+// Resolves to { action: "skip" | "replace" | "keep", applyToAll }
+function askDuplicateAction(name, existing) {
+  return new Promise((resolve) => {
+    pendingDuplicate.val = { name, existing, resolve };
+    document.getElementById("duplicate-dialog").showModal();
+  });
+}
+
+// Stores a record whose ID may already have content. The new content goes under its own key and
+// the source swaps in one commit, so a failed write leaves the old content, which the record
+// still points at, untouched; the old content goes once the player has moved off it.
+async function swapMediaFileContent(db, record) {
+  const previousSource = await dbOperation(db, "mediaFiles", "readonly", store => store.get(record.id));
+  await storeMediaFile(db, record, previousSource ? { contentKey: `${record.id}-${Date.now()}` } : {});
+
+  releaseObjectURL(record.id);
+  const player = document.getElementById("media-player");
+  if (player && currentFileId.val === record.id) {
+    const { currentTime, paused } = player;
+    player.src = getMediaURL(record);
+    player.currentTime = currentTime;
+    if (!paused) {
+      player.play().catch(console.error);
+    }
+  }
+
+  const previousStore = previousSource && getSourceStore(previousSource);
+  if (previousStore) {
+    await previousStore.delete(previousStore.keyOf(previousSource), previousSource).catch(handleError);
+  }
+}
+
+// Keeps the existing record (ID, progress, bookmarks, per-file settings) and swaps in the new content
+async function replaceMediaFileContent(db, existing, { file, handle, name, relativePath }) {
+  const record = normalizeMediaFileRecord({
+    ...existing,
+    name,
+    type: file.type,
+    size: file.size,
+    relativePath: relativePath || existing.relativePath,
+    file,
+  });
+  delete record.handle;
+  if (handle) {
+    record.handle = handle;
+  }
+  await swapMediaFileContent(db, record);
+  return record;
+}
+
 // Much simpler file handling function (Refactored)
-async function addFiles(files) {
+// Accepts Files, or { file, relativePath, handle } entries from a folder import.
+// With link set, entries that carry a FileSystemFileHandle keep the handle instead of a copy.
+async function addFiles(items, { link = false } = {}) {
   // Made async
-  const MAX_FILE_SIZE = 1000 * 1024 * 1024; // 1000MB limit
 
-  if (!files || files.length === 0) {
+  if (!items || items.length === 0) {
     console.error("No files selected");
     return;
   }
 
+  const entries = Array.from(items, (item) => (
+    item instanceof Blob ? { file: item, relativePath: item.webkitRelativePath || "" } : item
+  ));
+
+  // Subtitle sidecars get paired with media instead of becoming library entries
+  const subtitleEntries = entries.filter(({ file }) => isSubtitleFile(file));
+
+  // Keep folder imports in natural path order and drop non-media files they contain
+  const files = entries
+    .filter(({ file }) => !isSubtitleFile(file))
+    .filter(({ file, relativePath }) => {
+      if (relativePath && !isMediaFile(file)) {
+        console.log(`Skipping non-media file from folder: ${relativePath}`);
+        return false;
+      }
+      return true;
+    })
+    .sort((a, b) => (a.relativePath && b.relativePath ? naturalCompare(a.relativePath, b.relativePath) : 0));
+
+  if (files.length === 0) {
+    if (subtitleEntries.length > 0) {
+      await pairSubtitleSidecars(subtitleEntries, mediaFiles.val);
+    } else {
+      alert("No audio or video files found.");
+    }
+    return;
+  }
+
   // Force remove any previous loading indicator
   document.body.className = document.body.className.replace("is-uploading", "");
 
   // Create temporary array
   const newFiles = [];
+  const replacedFiles = [];
+  let duplicateAction = null; // Set once the user picks "apply to all"
   const db = await initDB(); // Initialize DB connection once
 
   // Process each file
   for (let i = 0; i < files.length; i++) {
-    const file = files[i];
+    const { file, relativePath, handle } = files[i];
+    const isLinked = link && !!handle;
     const fileName = file.name || `shared-file-${Date.now()}-${i}.${file.type.split('/')[1] || 'bin'}`;
     console.log(`Processing file ${i + 1}/${files.length}: ${fileName}`);
 
-    // Skip files that are too large
-    if (file.size > MAX_FILE_SIZE) {
-      alert(`File ${fileName} exceeds the 1000MB size limit.`);
+    // Skip files that are too large for the store they'd be copied into; linked files are never copied
+    if (!isLinked && file.size > copyMediaStore.maxFileSize) {
+      alert(`File ${fileName} exceeds the ${Math.round(copyMediaStore.maxFileSize / 1024 / 1024)}MB size limit.`);
       continue;
     }
 
+    // Same content already in the library, or earlier in this import
+    const contentHash = await computeContentHash(file);
+    const duplicate = contentHash && [...mediaFiles.val, ...newFiles].find((item) => item.contentHash === contentHash);
+    if (duplicate) {
+      let action = duplicateAction;
+      if (!action) {
+        const choice = await askDuplicateAction(fileName, duplicate);
+        action = choice.action;
+        duplicateAction = choice.applyToAll ? action : null;
+      }
+      console.log(`${fileName} duplicates ${duplicate.name}: ${action}`);
+
+      if (action === "skip") {
+        continue;
+      }
+      if (action === "replace") {
+        try {
+          const record = await replaceMediaFileContent(db, duplicate, {
+            file,
+            handle: isLinked ? handle : null,
+            name: fileName,
+            relativePath,
+          });
+          const batchIndex = newFiles.findIndex((item) => item.id === record.id);
+          if (batchIndex === -1) {
+            updateMediaFile(record.id, () => record);
+            replacedFiles.push(record);
+          } else {
+            newFiles[batchIndex] = record;
+          }
+        } catch (error) {
+          handleError(error);
+          alert(`Could not replace ${duplicate.name} due to a storage error.`);
+        }
+        continue;
+      }
+    }
+
     // Create a unique ID for this file
     const fileId = `file-${Date.now()}-${i}`;
 
@@ -525,17 +1817,26 @@ async function addFiles(files) {
       type: file.type,
       size: file.size,
       file: file, // Store the actual file object
+      ...(isLinked ? { handle } : {}),
       progress: 0,
       duration: 0,
       isNew: true,
       interactedAt: null,
       dateAdded: new Date().toISOString(),
+      relativePath,
+      contentHash,
     });
 
-    // Store the blob in IndexedDB
+    // Store the blob and its metadata in IndexedDB
     try {
-      await storeFileBlob(db, newFile.id, newFile.file);
-      console.log(`Blob for ${newFile.name} stored in IndexedDB.`);
+      const label = `Copying ${i + 1}/${files.length}: ${fileName}`;
+      copyStatus.val = isLinked ? null : label;
+      await storeMediaFile(db, newFile, {
+        onProgress: (done) => {
+          copyStatus.val = `${label} (${Math.round((done / file.size) * 100)}%)`;
+        },
+      });
+      console.log(`${isLinked ? "Handle" : "Blob"} for ${newFile.name} stored in IndexedDB.`);
       newFiles.push(newFile); // Add to array only if blob storage is successful
     } catch (error) {
       handleError(error);
@@ -544,6 +1845,11 @@ async function addFiles(files) {
     }
     console.log(`File ${fileName} processed successfully`);
   }
+  copyStatus.val = null;
+
+  if (replacedFiles.length > 0 && newFiles.length === 0) {
+    alert(`${replacedFiles.length} file(s) replaced; their progress and bookmarks were kept.`);
+  }
 
   // Update the state with all new files at once
   if (newFiles.length > 0) {
@@ -551,13 +1857,17 @@ async function addFiles(files) {
 
     const updatedFiles = [...mediaFiles.val, ...newFiles];
     saveMediaFiles(updatedFiles);
-    console.log("File metadata saved to Local Storage.");
+    console.log("File metadata saved to IndexedDB.");
+    scanMissingMetadata();
+    if (subtitleEntries.length > 0) {
+      await pairSubtitleSidecars(subtitleEntries, [...newFiles, ...mediaFiles.val]);
+    }
 
     // Open the sidebar
     sidebarOpen.val = true;
 
     // Show confirmation
-    alert(`${newFiles.length} files uploaded successfully!`);
+    alert(`${newFiles.length} files ${link ? "linked" : "uploaded"} successfully!`);
 
     // Play the first new file
     setTimeout(() => {
@@ -566,211 +1876,2489 @@ async function addFiles(files) {
   }
 }
 
-// Add a dedicated function to play files
-function playFile(file, { markInteracted = false } = {}) {
-  console.log("Attempting to play file:", file);
+// Subtitles
 
-  try {
-    const player = document.getElementById("media-player");
-    if (!player) {
-      console.error("Media player element not found");
-      alert("Media player not found. Please refresh the page.");
-      return;
-    }
+const isSubtitleFile = (file) => /\.(srt|vtt)$/i.test(file.name || "");
 
-    // Make sure video container is visible
-    const videoContainer = document.getElementById("video-container");
-    if (videoContainer) {
-      videoContainer.style.display = "block";
-    }
+// SRT differs from WebVTT mainly in the header and the decimal comma in timestamps
+function srtToVtt(text) {
+  const body = text
+    .replace(/\r\n?/g, "\n")
+    .replace(/(\d{1,2}):(\d{2}):(\d{2}),(\d{3})/g, (match, hours, minutes, seconds, millis) => (
+      `${hours.padStart(2, "0")}:${minutes}:${seconds}.${millis}`
+    ));
+  return `WEBVTT\n\n${body.trim()}\n`;
+}
 
-    // Hide the upload prompt
-    const uploadPrompt = document.querySelector(".upload-prompt");
-    if (uploadPrompt) {
-      uploadPrompt.style.display = "none";
-    }
+async function readSubtitleAsVtt(file) {
+  const text = (await file.text()).replace(/^\uFEFF/, "");
+  return text.startsWith("WEBVTT") ? text : srtToVtt(text);
+}
 
-    // Get or create a URL for the file
-    let sourceUrl;
-    if (file.file && file.file instanceof Blob) {
-      // Create a tracked object URL
-      sourceUrl = createAndTrackObjectURL(file);
-    } else if (file.data && typeof file.data === "string") {
-      // Use existing data URL or blob URL
-      sourceUrl = file.data;
-    } else {
-      console.error("File has no playable source:", file);
-      alert(`Cannot play ${file.name || "file"}: Invalid source format`);
-      return;
-    }
+// "Course/movie.en.vtt" -> { dir: "Course/", base: "movie.en" }
+function splitSubtitlePath(path) {
+  const slash = path.lastIndexOf("/");
+  return {
+    dir: path.slice(0, slash + 1).toLowerCase(),
+    base: path.slice(slash + 1).replace(/\.[^.]+$/, "").toLowerCase(),
+  };
+}
 
-    // Set the source
-    console.log(`Setting player source to: ${sourceUrl}`);
-    if (markInteracted) {
-      markFileInteracted(file.id);
+// movie.srt and movie.en.vtt both pair with movie.mp4 in the same folder
+function findSubtitleTarget(entry, candidates) {
+  const { dir, base } = splitSubtitlePath(entry.relativePath || entry.file.name);
+  const languageMatch = /^(.*)\.([a-z]{2,3}(?:[-_][a-z0-9]{2,4})?)$/i.exec(base);
+
+  for (const candidate of candidates) {
+    const target = splitSubtitlePath(candidate.relativePath || candidate.name);
+    if (target.dir !== dir) {
+      continue;
     }
-    currentFileId.val = file.id;
-    player.src = sourceUrl;
-    player.setAttribute("data-current-file-id", file.id); // Tag player with file ID
+    if (target.base === base) {
+      return { file: candidate, language: "" };
+    }
+    if (languageMatch && target.base === languageMatch[1]) {
+      return { file: candidate, language: languageMatch[2] };
+    }
+  }
+  return null;
+}
+
+async function attachSubtitle(fileId, subtitleFile, language = "") {
+  const subtitle = {
+    id: `subtitle-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+    fileId,
+    label: language ? language.toUpperCase() : subtitleFile.name,
+    language,
+    vtt: await readSubtitleAsVtt(subtitleFile),
+  };
+
+  const db = await initDB();
+  await storeSubtitle(db, subtitle);
+  console.log(`Attached subtitle ${subtitleFile.name} to ${fileId}`);
 
-    // Set the time if available
-    if (typeof file.progress === "number") {
-      player.currentTime = file.progress;
+  // Show the first subtitle a file gets; later ones are picked from the menu
+  updateMediaFile(fileId, (file) => (file.subtitleId ? file : { ...file, subtitleId: subtitle.id }));
+  if (currentFileId.val === fileId) {
+    await loadSubtitles(fileId);
+  }
+  return subtitle;
+}
+
+async function pairSubtitleSidecars(subtitleEntries, candidates) {
+  let pairedCount = 0;
+  for (const entry of subtitleEntries) {
+    const target = findSubtitleTarget(entry, candidates);
+    if (!target) {
+      console.warn(`No media file found for subtitle ${entry.relativePath || entry.file.name}`);
+      continue;
     }
 
-    // Close sidebar on mobile
-    if (window.innerWidth < 768) {
-      sidebarOpen.val = false;
+    try {
+      await attachSubtitle(target.file.id, entry.file, target.language);
+      pairedCount++;
+    } catch (error) {
+      handleError(error);
     }
+  }
 
-    // Force play with a slight delay
-    setTimeout(() => {
-      const playPromise = player.play();
-      if (playPromise !== undefined) {
-        playPromise
-          .then(() => {
-            console.log(`Playing ${file.name || "file"} successfully`);
-            // Store this as the last played file
-            try {
-              localStorage.setItem("lastPlayedFileId", file.id);
-              console.log(`Set lastPlayedFileId to: ${file.id}`);
-            } catch (e) {
-              console.warn("Could not save lastPlayedFileId to Local Storage:", e);
-            }
-          })
-          .catch(console.error);
-      }
-    }, 300);
-  } catch (error) {
-    handleError(error);
-    alert(`Error playing file: ${error.message}`);
+  const unpairedCount = subtitleEntries.length - pairedCount;
+  if (unpairedCount > 0) {
+    alert(`${unpairedCount} subtitle file(s) could not be matched to a media file. Add them from the CC menu while playing.`);
   }
 }
 
-function clearCurrentFileSelection(fileId = currentFileId.val) {
-  if (!fileId) {
+// Replace the player's <track> elements with the current file's subtitles
+const subtitleTrackUrls = [];
+function renderSubtitleTracks() {
+  const player = document.getElementById("media-player");
+  if (!player) {
     return;
   }
 
-  if (currentFileId.val === fileId) {
-    currentFileId.val = null;
+  player.querySelectorAll("track").forEach((element) => element.remove());
+  subtitleTrackUrls.splice(0).forEach((url) => URL.revokeObjectURL(url));
+
+  for (const subtitle of currentSubtitles.val) {
+    const url = URL.createObjectURL(new Blob([subtitle.vtt], { type: "text/vtt" }));
+    subtitleTrackUrls.push(url);
+    const element = track({
+      kind: "subtitles",
+      label: subtitle.label,
+      srclang: subtitle.language,
+      src: url,
+      "data-subtitle-id": subtitle.id,
+    });
+    player.appendChild(element);
   }
+  applySubtitleMode();
+}
 
+function applySubtitleMode() {
+  const activeId = getCurrentFile()?.subtitleId ?? null;
   const player = document.getElementById("media-player");
-  if (player?.getAttribute("data-current-file-id") === fileId) {
-    player.pause();
-    player.removeAttribute("data-current-file-id");
-    player.removeAttribute("src");
-    player.load();
+  player?.querySelectorAll("track").forEach((element) => {
+    if (element.track) {
+      element.track.mode = element.getAttribute("data-subtitle-id") === activeId ? "showing" : "disabled";
+    }
+  });
+}
+
+// Keep the stored choice in sync when subtitles are switched from the native controls
+function syncSubtitleFromTextTracks(player) {
+  const fileId = player.getAttribute("data-current-file-id");
+  const elements = [...player.querySelectorAll("track")];
+  // Tracks are swapped out on every file change; those events say nothing about the user's choice
+  if (!fileId || elements.length === 0) {
+    return;
   }
 
-  const videoContainer = document.getElementById("video-container");
-  if (videoContainer) {
-    videoContainer.style.display = "none";
+  const showing = elements.find((element) => element.track?.mode === "showing");
+  const subtitleId = showing ? showing.getAttribute("data-subtitle-id") : null;
+  if (subtitleId !== (getCurrentFile()?.subtitleId ?? null)) {
+    selectSubtitle(fileId, subtitleId);
   }
+}
 
+async function loadSubtitles(fileId) {
   try {
-    if (localStorage.getItem("lastPlayedFileId") === fileId) {
-      localStorage.removeItem("lastPlayedFileId");
+    const db = await initDB();
+    const subtitles = await retrieveSubtitlesForFile(db, fileId);
+    if (currentFileId.val !== fileId) {
+      return; // Another file started playing meanwhile
+    }
+    currentSubtitles.val = subtitles;
+    renderSubtitleTracks();
+  } catch (error) {
+    handleError(error);
+  }
+}
+
+function selectSubtitle(fileId, subtitleId) {
+  updateMediaFile(fileId, (file) => (file.subtitleId === subtitleId ? file : { ...file, subtitleId }));
+  applySubtitleMode();
+}
+
+async function deleteSubtitle(fileId, subtitleId) {
+  try {
+    const db = await initDB();
+    await removeSubtitle(db, subtitleId);
+  } catch (error) {
+    handleError(error);
+  }
+  selectSubtitle(fileId, null);
+  await loadSubtitles(fileId);
+}
+
+async function removeSubtitlesForFile(db, fileId) {
+  const subtitles = await retrieveSubtitlesForFile(db, fileId);
+  for (const subtitle of subtitles) {
+    await removeSubtitle(db, subtitle.id);
+  }
+}
+
+// A-B loop
+function isValidLoop(loop) {
+  return !!loop
+    && typeof loop === "object"
+    && Number.isFinite(loop.start)
+    && (loop.end === null || Number.isFinite(loop.end));
+}
+
+function resetLoopPasses() {
+  loopPlayCount = 0;
+  clearTimeout(loopGapTimer);
+  loopGapTimer = null;
+}
+
+function updateLoop(fileId, changes) {
+  updateMediaFile(fileId, (file) => ({
+    ...file,
+    loop: changes ? { start: 0, end: null, repeats: null, gap: 0, enabled: false, ...file.loop, ...changes } : null,
+  }));
+  resetLoopPasses();
+}
+
+function setLoopPoint(point) {
+  const player = document.getElementById("media-player");
+  const file = getCurrentFile();
+  if (!player || !file) {
+    return;
+  }
+
+  const time = player.currentTime;
+  if (point === "start") {
+    // Moving A past B starts a new section
+    const end = file.loop?.end;
+    updateLoop(file.id, { start: time, end: end !== null && end > time ? end : null });
+    return;
+  }
+
+  const start = file.loop?.start ?? 0;
+  if (time <= start) {
+    alert("Point B must come after point A.");
+    return;
+  }
+  updateLoop(file.id, { start, end: time, enabled: true });
+}
+
+function isLoopActive(loop) {
+  return !!loop?.enabled && loop.end !== null && loop.end > loop.start;
+}
+
+// Called from timeupdate: jump back to A at B until the repeat count is used up
+function enforceLoop(player, fileId) {
+  const loop = mediaFiles.val.find((file) => file.id === fileId)?.loop;
+  if (!isLoopActive(loop) || loopGapTimer || player.currentTime < loop.end) {
+    return;
+  }
+  if (loop.repeats && loopPlayCount >= loop.repeats) {
+    return;
+  }
+
+  loopPlayCount++;
+  if (loop.repeats && loopPlayCount >= loop.repeats) {
+    console.log(`Loop played ${loopPlayCount} times, continuing past B.`);
+    return;
+  }
+
+  player.currentTime = loop.start;
+  if (loop.gap > 0) {
+    player.pause();
+    loopGapTimer = setTimeout(() => {
+      loopGapTimer = null;
+      if (currentFileId.val === fileId) {
+        player.play().catch(console.error);
+      }
+    }, loop.gap * 1000);
+  }
+}
+
+// Sleep timer
+const SLEEP_TIMER_MINUTES = [5, 10, 15, 20, 30, 45, 60, 90, 120];
+const SLEEP_TIMER_FILE_COUNTS = [1, 2, 3, 5];
+const SLEEP_FADE_SECONDS = 30;
+const SLEEP_EXTEND_MINUTES = 5;
+const SHAKE_THRESHOLD = 15; // m/s² of acceleration without gravity
+let sleepTimerInterval = null;
+let sleepFadeBaseVolume = null;
+let lastShakeAt = 0;
+
+function startSleepTimer(value) {
+  stopSleepTimer({ pause: false });
+  if (value.startsWith("files-")) {
+    sleepTimer.val = { filesLeft: parseInt(value.slice(6), 10) };
+  } else {
+    sleepTimer.val = { endsAt: Date.now() + parseInt(value, 10) * 60 * 1000 };
+  }
+  console.log("Sleep timer started:", sleepTimer.val);
+
+  sleepTimerNow.val = Date.now();
+  sleepTimerInterval = setInterval(tickSleepTimer, 1000);
+  listenForShake();
+}
+
+// Seconds until playback stops, or null when it depends on files that haven't started yet
+function getSleepTimerRemaining() {
+  const timer = sleepTimer.val;
+  if (!timer) {
+    return null;
+  }
+  if (timer.endsAt) {
+    return Math.max((timer.endsAt - sleepTimerNow.val) / 1000, 0);
+  }
+
+  const player = document.getElementById("media-player");
+  if (timer.filesLeft > 1 || !player || !Number.isFinite(player.duration)) {
+    return null;
+  }
+  return Math.max((player.duration - player.currentTime) / (player.playbackRate || 1), 0);
+}
+
+function tickSleepTimer() {
+  sleepTimerNow.val = Date.now();
+  const remaining = getSleepTimerRemaining();
+  if (remaining === null) {
+    return;
+  }
+  if (sleepTimer.val.endsAt && remaining <= 0) {
+    stopSleepTimer();
+    return;
+  }
+
+  const player = document.getElementById("media-player");
+  if (!player) {
+    return;
+  }
+  if (remaining <= SLEEP_FADE_SECONDS) {
+    sleepFadeBaseVolume ??= player.volume;
+    player.volume = sleepFadeBaseVolume * (remaining / SLEEP_FADE_SECONDS);
+  } else {
+    restoreSleepFadeVolume();
+  }
+}
+
+function restoreSleepFadeVolume() {
+  const player = document.getElementById("media-player");
+  if (player && sleepFadeBaseVolume !== null) {
+    player.volume = sleepFadeBaseVolume;
+  }
+  sleepFadeBaseVolume = null;
+}
+
+function stopSleepTimer({ pause = true } = {}) {
+  if (!sleepTimer.val) {
+    return;
+  }
+
+  const player = document.getElementById("media-player");
+  const fileId = player?.getAttribute("data-current-file-id");
+  if (pause && player) {
+    player.pause();
+    if (fileId) {
+      updateProgress(fileId, player.currentTime);
+    }
+    console.log("Sleep timer ended, playback paused.");
+  }
+
+  clearInterval(sleepTimerInterval);
+  sleepTimerInterval = null;
+  restoreSleepFadeVolume();
+  sleepTimer.val = null;
+  window.removeEventListener("devicemotion", handleDeviceMotion);
+}
+
+function extendSleepTimer() {
+  const timer = sleepTimer.val;
+  if (!timer) {
+    return;
+  }
+  sleepTimer.val = timer.endsAt
+    ? { endsAt: Math.max(timer.endsAt, Date.now()) + SLEEP_EXTEND_MINUTES * 60 * 1000 }
+    : { filesLeft: timer.filesLeft + 1 };
+  restoreSleepFadeVolume();
+  tickSleepTimer();
+  console.log("Sleep timer extended:", sleepTimer.val);
+}
+
+// Called from ended: returns true when the timer used up its last file
+function countSleepTimerFile() {
+  const timer = sleepTimer.val;
+  if (!timer?.filesLeft) {
+    return false;
+  }
+  if (timer.filesLeft > 1) {
+    sleepTimer.val = { filesLeft: timer.filesLeft - 1 };
+    return false;
+  }
+  stopSleepTimer({ pause: false });
+  console.log("Sleep timer ended after the last file.");
+  return true;
+}
+
+// Shaking extends the timer where DeviceMotion exists; iOS asks for permission first
+function listenForShake() {
+  if (typeof DeviceMotionEvent === "undefined") {
+    return;
+  }
+  const subscribe = () => window.addEventListener("devicemotion", handleDeviceMotion);
+  if (typeof DeviceMotionEvent.requestPermission === "function") {
+    DeviceMotionEvent.requestPermission()
+      .then((state) => state === "granted" && subscribe())
+      .catch((error) => console.log("Motion permission not granted:", error));
+  } else {
+    subscribe();
+  }
+}
+
+function handleDeviceMotion(e) {
+  const { x, y, z } = e.acceleration || {};
+  if (![x, y, z].every(Number.isFinite)) {
+    return;
+  }
+  const now = Date.now();
+  if (Math.hypot(x, y, z) > SHAKE_THRESHOLD && now - lastShakeAt > 1000) {
+    lastShakeAt = now;
+    extendSleepTimer();
+  }
+}
+
+// Audio processing: the player is routed through Web Audio once any option is first turned on.
+// A media element can only ever have one source node, so the graph is built once and rewired.
+const NORMALIZATION_TARGETS = [-14, -16, -18, -20, -23];
+const SILENCE_THRESHOLD = 0.01; // RMS, roughly -40 dBFS
+const SILENCE_MIN_MS = 250;
+const SILENCE_SPEEDUP = 2.5;
+const SILENCE_POLL_MS = 100;
+let audioGraph = null;
+let silenceInterval = null;
+let silenceStartedAt = null;
+let silenceSkip = null; // { normalRate, fastRate, startedAt } while speeding through a quiet stretch
+
+function isAudioProcessingEnabled() {
+  return Object.values(audioSettings.val).some(Boolean)
+    || normalizationSettings.val.enabled
+    || equalizerSettings.val.enabled
+    || !!getCurrentFile()?.equalizer;
+}
+
+function ensureAudioGraph() {
+  if (audioGraph) {
+    return audioGraph;
+  }
+  const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+  const player = document.getElementById("media-player");
+  if (!AudioContextClass || !player) {
+    console.warn("Web Audio is not available, audio processing disabled.");
+    return null;
+  }
+
+  try {
+    const context = new AudioContextClass();
+    const source = context.createMediaElementSource(player);
+
+    // Forcing one explicit channel makes Web Audio downmix, the destination spreads it back out
+    const mono = context.createGain();
+    mono.channelCount = 1;
+    mono.channelCountMode = "explicit";
+    mono.channelInterpretation = "speakers";
+
+    // Flattens loud and quiet voices, then brings the overall level back up
+    const compressor = context.createDynamicsCompressor();
+    compressor.threshold.value = -50;
+    compressor.knee.value = 40;
+    compressor.ratio.value = 12;
+    compressor.attack.value = 0;
+    compressor.release.value = 0.25;
+    const boost = context.createGain();
+    boost.gain.value = 2;
+
+    // Always in the chain; flat gains leave the signal untouched
+    const equalizerBands = EQUALIZER_FREQUENCIES.map((frequency, index) => {
+      const filter = context.createBiquadFilter();
+      filter.type = index === 0 ? "lowshelf" : index === EQUALIZER_FREQUENCIES.length - 1 ? "highshelf" : "peaking";
+      filter.frequency.value = frequency;
+      filter.Q.value = 1.41;
+      return filter;
+    });
+
+    // Always last in the chain, at unity gain unless normalization is on
+    const normalizer = context.createGain();
+
+    const analyser = context.createAnalyser();
+    analyser.fftSize = 2048;
+
+    audioGraph = {
+      context,
+      source,
+      mono,
+      equalizerBands,
+      compressor,
+      boost,
+      normalizer,
+      analyser,
+      samples: new Float32Array(analyser.fftSize),
+    };
+    console.log("Audio processing graph created.");
+    van.derive(() => applyNormalizationGain(currentLoudnessGain.val, normalizationSettings.val));
+  } catch (error) {
+    handleError(error);
+    return null;
+  }
+
+  connectAudioGraph();
+  applyEqualizer();
+  return audioGraph;
+}
+
+function connectAudioGraph() {
+  if (!audioGraph) {
+    return;
+  }
+  const { context, source, mono, equalizerBands, compressor, boost, normalizer, analyser } = audioGraph;
+  const settings = audioSettings.val;
+  [source, mono, ...equalizerBands, compressor, boost, normalizer].forEach((node) => node.disconnect());
+
+  const chain = [source];
+  if (settings.mono) {
+    chain.push(mono);
+  }
+  chain.push(...equalizerBands);
+  if (settings.voiceBoost) {
+    chain.push(compressor, boost);
+  }
+  chain.push(normalizer, context.destination);
+  chain.reduce((from, to) => {
+    from.connect(to);
+    return to;
+  });
+  // The detector listens to the unprocessed signal
+  source.connect(analyser);
+}
+
+function setAudioSettings(changes) {
+  audioSettings.val = { ...audioSettings.val, ...changes };
+  writeStoredJSON(AUDIO_SETTINGS_KEY, audioSettings.val);
+  if (isAudioProcessingEnabled()) {
+    ensureAudioGraph()?.context.resume();
+  }
+  connectAudioGraph();
+  updateSilenceDetector();
+}
+
+// Equalizer
+const EQUALIZER_FREQUENCIES = [31, 62, 125, 250, 500, 1000, 2000, 4000, 8000, 16000];
+const EQUALIZER_MAX_GAIN = 12;
+const EQUALIZER_BUILT_IN_PRESETS = {
+  flat: { name: "Flat", gains: [0, 0, 0, 0, 0, 0, 0, 0, 0, 0] },
+  bassBoost: { name: "Bass boost", gains: [6, 5, 4, 2, 0, 0, 0, 0, 0, 0] },
+  spokenWord: { name: "Spoken word", gains: [-6, -4, -2, 0, 1, 3, 4, 3, 1, 0] },
+  treble: { name: "Treble", gains: [0, 0, 0, 0, 0, 1, 2, 4, 5, 6] },
+};
+
+// Preset IDs are built-in keys or "custom:<name>"; null means hand-tuned
+function getEqualizerPresetGains(presetId) {
+  if (presetId?.startsWith("custom:")) {
+    return equalizerPresets.val.find((preset) => `custom:${preset.name}` === presetId)?.gains ?? null;
+  }
+  return EQUALIZER_BUILT_IN_PRESETS[presetId]?.gains ?? null;
+}
+
+// The file's own EQ wins; otherwise the global one when enabled; null means flat
+function getEffectiveEqualizerGains(file) {
+  if (file?.equalizer) {
+    return file.equalizer.gains;
+  }
+  return equalizerSettings.val.enabled ? equalizerSettings.val.gains : null;
+}
+
+function applyEqualizer(file = getCurrentFile()) {
+  if (!audioGraph) {
+    return;
+  }
+  const gains = getEffectiveEqualizerGains(file);
+  audioGraph.equalizerBands.forEach((band, index) => {
+    band.gain.setTargetAtTime(gains?.[index] ?? 0, audioGraph.context.currentTime, 0.02);
+  });
+}
+
+// Sliders preview on input and only persist on change
+function previewEqualizerBand(index, gain) {
+  audioGraph?.equalizerBands[index].gain.setTargetAtTime(gain, audioGraph.context.currentTime, 0.02);
+}
+
+function setEqualizerSettings(changes) {
+  equalizerSettings.val = { ...equalizerSettings.val, ...changes };
+  writeStoredJSON(EQUALIZER_KEY, equalizerSettings.val);
+  if (isAudioProcessingEnabled()) {
+    ensureAudioGraph()?.context.resume();
+  }
+  applyEqualizer();
+}
+
+function setFileEqualizer(fileId, equalizer) {
+  updateMediaFile(fileId, (file) => ({ ...file, equalizer }));
+  if (equalizer) {
+    ensureAudioGraph()?.context.resume();
+  }
+  if (currentFileId.val === fileId) {
+    applyEqualizer();
+  }
+}
+
+// Edits go to the current file's override when it has one, otherwise to the global EQ
+function updateEqualizer(changes) {
+  const file = getCurrentFile();
+  if (file?.equalizer) {
+    setFileEqualizer(file.id, { ...file.equalizer, ...changes });
+  } else {
+    setEqualizerSettings({ enabled: true, ...changes });
+  }
+}
+
+function selectEqualizerPreset(presetId) {
+  const gains = getEqualizerPresetGains(presetId);
+  if (gains) {
+    updateEqualizer({ preset: presetId, gains: [...gains] });
+  }
+}
+
+function setEqualizerBand(index, gain) {
+  const file = getCurrentFile();
+  const gains = [...(file?.equalizer ?? equalizerSettings.val).gains];
+  gains[index] = gain;
+  updateEqualizer({ preset: null, gains });
+}
+
+function saveEqualizerPreset(gains) {
+  const name = prompt("Preset name:");
+  if (!name || !name.trim()) {
+    return;
+  }
+  const preset = { name: name.trim(), gains: [...gains] };
+  equalizerPresets.val = [...equalizerPresets.val.filter((item) => item.name !== preset.name), preset];
+  writeStoredJSON(EQUALIZER_PRESETS_KEY, equalizerPresets.val);
+  updateEqualizer({ preset: `custom:${preset.name}` });
+}
+
+function deleteEqualizerPreset(presetId) {
+  equalizerPresets.val = equalizerPresets.val.filter((preset) => `custom:${preset.name}` !== presetId);
+  writeStoredJSON(EQUALIZER_PRESETS_KEY, equalizerPresets.val);
+  updateEqualizer({ preset: null });
+}
+
+function resumeAudioGraph() {
+  if (!audioGraph && isAudioProcessingEnabled()) {
+    ensureAudioGraph();
+    updateSilenceDetector();
+  }
+  if (audioGraph?.context.state === "suspended") {
+    audioGraph.context.resume().catch(console.error);
+  }
+}
+
+function updateSilenceDetector() {
+  const shouldRun = !!audioGraph && audioSettings.val.skipSilence;
+  if (shouldRun && !silenceInterval) {
+    silenceInterval = setInterval(detectSilence, SILENCE_POLL_MS);
+  } else if (!shouldRun && silenceInterval) {
+    clearInterval(silenceInterval);
+    silenceInterval = null;
+    endSilenceSkip();
+  }
+}
+
+function detectSilence() {
+  const player = document.getElementById("media-player");
+  if (!player || player.paused || !currentFileId.val) {
+    silenceStartedAt = null;
+    endSilenceSkip();
+    return;
+  }
+
+  const { analyser, samples } = audioGraph;
+  analyser.getFloatTimeDomainData(samples);
+  let sum = 0;
+  for (const sample of samples) {
+    sum += sample * sample;
+  }
+  const rms = Math.sqrt(sum / samples.length);
+  const now = performance.now();
+
+  if (rms >= SILENCE_THRESHOLD) {
+    silenceStartedAt = null;
+    endSilenceSkip();
+    return;
+  }
+  silenceStartedAt ??= now;
+  if (!silenceSkip && now - silenceStartedAt >= SILENCE_MIN_MS) {
+    const normalRate = player.playbackRate;
+    const fastRate = Math.min(normalRate * SILENCE_SPEEDUP, 16);
+    silenceSkip = { normalRate, fastRate, startedAt: now };
+    player.playbackRate = fastRate;
+  }
+}
+
+function endSilenceSkip() {
+  if (!silenceSkip) {
+    return;
+  }
+  const { normalRate, fastRate, startedAt } = silenceSkip;
+  silenceSkip = null;
+
+  const player = document.getElementById("media-player");
+  // Leave the rate alone if the user changed it meanwhile
+  if (player && player.playbackRate === fastRate) {
+    player.playbackRate = normalRate;
+  }
+
+  const saved = ((performance.now() - startedAt) / 1000) * (fastRate / normalRate - 1);
+  silenceSavedSeconds.val += saved;
+  writeStoredJSON(SILENCE_SAVED_KEY, silenceSavedSeconds.val);
+}
+
+// Bookmarks
+function formatTimestamp(seconds) {
+  const total = Math.floor(seconds);
+  const hours = Math.floor(total / 3600);
+  const minutes = Math.floor((total % 3600) / 60);
+  const secs = String(total % 60).padStart(2, "0");
+  return hours > 0 ? `${hours}:${String(minutes).padStart(2, "0")}:${secs}` : `${minutes}:${secs}`;
+}
+
+function getFileBookmarks(fileId) {
+  return bookmarks.val[fileId] || [];
+}
+
+function setFileBookmarks(fileId, items) {
+  const next = { ...bookmarks.val };
+  if (items.length > 0) {
+    next[fileId] = [...items].sort((a, b) => a.time - b.time);
+  } else {
+    delete next[fileId];
+  }
+  bookmarks.val = next;
+}
+
+async function addBookmark() {
+  const player = document.getElementById("media-player");
+  const fileId = currentFileId.val;
+  if (!player || !fileId) {
+    return;
+  }
+
+  const time = player.currentTime;
+  const label = prompt("Bookmark label:", formatTimestamp(time));
+  if (label === null) {
+    return;
+  }
+
+  const bookmark = {
+    id: `bookmark-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+    fileId,
+    time,
+    label: label.trim() || formatTimestamp(time),
+    note: "",
+    createdAt: new Date().toISOString(),
+  };
+  try {
+    const db = await initDB();
+    await storeBookmark(db, bookmark);
+    setFileBookmarks(fileId, [...getFileBookmarks(fileId), bookmark]);
+    console.log(`Added bookmark at ${formatTimestamp(time)} to ${fileId}`);
+  } catch (error) {
+    handleError(error);
+    alert("Could not save the bookmark. Please try again.");
+  }
+}
+
+async function editBookmark(bookmark) {
+  const label = prompt("Bookmark label:", bookmark.label);
+  if (label === null) {
+    return;
+  }
+  const note = prompt("Note (optional):", bookmark.note);
+  if (note === null) {
+    return;
+  }
+
+  const updated = { ...bookmark, label: label.trim() || formatTimestamp(bookmark.time), note: note.trim() };
+  try {
+    const db = await initDB();
+    await storeBookmark(db, updated);
+    setFileBookmarks(
+      bookmark.fileId,
+      getFileBookmarks(bookmark.fileId).map((item) => (item.id === bookmark.id ? updated : item)),
+    );
+  } catch (error) {
+    handleError(error);
+    alert("Could not update the bookmark. Please try again.");
+  }
+}
+
+async function deleteBookmark(bookmark) {
+  try {
+    const db = await initDB();
+    await removeBookmark(db, bookmark.id);
+    setFileBookmarks(bookmark.fileId, getFileBookmarks(bookmark.fileId).filter((item) => item.id !== bookmark.id));
+  } catch (error) {
+    handleError(error);
+    alert("Could not delete the bookmark. Please try again.");
+  }
+}
+
+async function removeBookmarksForFile(db, fileId) {
+  const items = await retrieveBookmarksForFile(db, fileId);
+  for (const bookmark of items) {
+    await removeBookmark(db, bookmark.id);
+  }
+  setFileBookmarks(fileId, []);
+}
+
+function jumpToBookmark(bookmark) {
+  const player = document.getElementById("media-player");
+  if (player && currentFileId.val === bookmark.fileId) {
+    player.currentTime = bookmark.time;
+    player.play().catch(console.error);
+    return;
+  }
+
+  const file = mediaFiles.val.find((item) => item.id === bookmark.fileId);
+  if (file) {
+    playFile(file, { markInteracted: true, startTime: bookmark.time });
+  }
+}
+
+// Add a dedicated function to play files
+// Playing a file puts ?play=<fileId> in the address bar, so reloading or bookmarking the page
+// opens that file again at its saved position
+const PLAY_LINK_PARAM = "play";
+
+function setPlayLink(fileId) {
+  const url = new URL(window.location.href);
+  if (fileId) {
+    url.searchParams.set(PLAY_LINK_PARAM, fileId);
+  } else {
+    url.searchParams.delete(PLAY_LINK_PARAM);
+  }
+  window.history.replaceState(window.history.state, "", url);
+}
+
+async function playFile(file, { markInteracted = false, startTime = null } = {}) {
+  console.log("Attempting to play file:", file);
+
+  try {
+    if (isFileMissing(file)) {
+      alert(`${getDisplayName(file)} is missing its stored file. Add it again, or remove it from the library.`);
+      return;
+    }
+    if (!file.file && file.handle) {
+      file = await resolveLinkedFile(file);
+      if (!file) {
+        return;
+      }
+    }
+
+    const player = document.getElementById("media-player");
+    if (!player) {
+      console.error("Media player element not found");
+      alert("Media player not found. Please refresh the page.");
+      return;
+    }
+
+    // Make sure video container is visible
+    const videoContainer = document.getElementById("video-container");
+    if (videoContainer) {
+      videoContainer.style.display = "block";
+    }
+
+    // Hide the upload prompt
+    const uploadPrompt = document.querySelector(".upload-prompt");
+    if (uploadPrompt) {
+      uploadPrompt.style.display = "none";
+    }
+
+    // Get or create a URL for the file
+    let sourceUrl;
+    if (file.file && file.file instanceof Blob) {
+      sourceUrl = getMediaURL(file);
+    } else if (file.data && typeof file.data === "string") {
+      // Use existing data URL or blob URL
+      sourceUrl = file.data;
+    } else {
+      console.error("File has no playable source:", file);
+      alert(`Cannot play ${file.name || "file"}: Invalid source format`);
+      return;
+    }
+
+    // Set the source
+    console.log(`Setting player source to: ${sourceUrl}`);
+    if (markInteracted) {
+      markFileInteracted(file.id);
+    }
+    currentFileId.val = file.id;
+    dequeueFile(file.id);
+    player.src = sourceUrl;
+    player.setAttribute("data-current-file-id", file.id); // Tag player with file ID
+    setPlayLink(file.id);
+    endSilenceSkip();
+    applyPlaybackSettings(player, file);
+    applyEqualizer(file);
+    currentSubtitles.val = [];
+    renderSubtitleTracks();
+    loadSubtitles(file.id);
+
+    // Set the time if available, restarting files that were played to the end
+    resetLoopPasses();
+    if (typeof startTime === "number") {
+      player.currentTime = startTime;
+    } else if (isLoopActive(file.loop) && !(file.progress >= file.loop.start && file.progress < file.loop.end)) {
+      // Reopening a practice section starts at A
+      player.currentTime = file.loop.start;
+    } else if (typeof file.progress === "number") {
+      player.currentTime = isFileFinished(file) ? 0 : file.progress;
+    }
+
+    // Close sidebar on mobile
+    if (window.innerWidth < 768) {
+      sidebarOpen.val = false;
+    }
+
+    // Force play with a slight delay
+    setTimeout(() => {
+      const playPromise = player.play();
+      if (playPromise !== undefined) {
+        playPromise
+          .then(() => {
+            console.log(`Playing ${file.name || "file"} successfully`);
+            // Store this as the last played file
+            try {
+              localStorage.setItem("lastPlayedFileId", file.id);
+              console.log(`Set lastPlayedFileId to: ${file.id}`);
+            } catch (e) {
+              console.warn("Could not save lastPlayedFileId to Local Storage:", e);
+            }
+          })
+          .catch(console.error);
+      }
+    }, 300);
+  } catch (error) {
+    handleError(error);
+    alert(`Error playing file: ${error.message}`);
+  }
+}
+
+function clearCurrentFileSelection(fileId = currentFileId.val) {
+  if (!fileId) {
+    return;
+  }
+
+  if (currentFileId.val === fileId) {
+    currentFileId.val = null;
+  }
+
+  const player = document.getElementById("media-player");
+  if (player?.getAttribute("data-current-file-id") === fileId) {
+    player.pause();
+    player.removeAttribute("data-current-file-id");
+    player.removeAttribute("src");
+    player.load();
+  }
+
+  const videoContainer = document.getElementById("video-container");
+  if (videoContainer) {
+    videoContainer.style.display = "none";
+  }
+
+  if (new URLSearchParams(window.location.search).get(PLAY_LINK_PARAM) === fileId) {
+    setPlayLink(null);
+  }
+
+  try {
+    if (localStorage.getItem("lastPlayedFileId") === fileId) {
+      localStorage.removeItem("lastPlayedFileId");
+    }
+  } catch (error) {
+    console.warn("Could not update lastPlayedFileId in Local Storage:", error);
+  }
+}
+
+// Make sure to release URLs when files are deleted
+async function deleteFile(id) {
+  // Made async
+  console.log(`Deleting file with ID: ${id}`);
+
+  // Release any object URL for this file
+  releaseObjectURL(id);
+  releaseArtworkURL(id);
+
+  // Remove blob from IndexedDB
+  try {
+    const db = await initDB();
+    await removeMediaFile(db, id);
+    await removeArtwork(db, id);
+    await removeThumbnail(db, id);
+    await removeSubtitlesForFile(db, id);
+    await removeBookmarksForFile(db, id);
+    console.log(`Blob for file ID ${id} removed from IndexedDB.`);
+  } catch (error) {
+    handleError(error);
+  }
+
+  // Remove from state
+  const updatedFiles = mediaFiles.val.filter((file) => file.id !== id);
+  dequeueFile(id);
+  removeFileFromAllPlaylists(id);
+
+  if (currentFileId.val === id) {
+    clearCurrentFileSelection(id);
+  }
+
+  saveMediaFiles(updatedFiles);
+}
+
+// Recursively read a directory picked with showDirectoryPicker
+async function collectDirectoryEntries(directoryHandle, path = directoryHandle.name) {
+  const entries = [];
+  for await (const handle of directoryHandle.values()) {
+    const handlePath = `${path}/${handle.name}`;
+    if (handle.kind === "directory") {
+      entries.push(...await collectDirectoryEntries(handle, handlePath));
+    } else {
+      entries.push({ file: await handle.getFile(), relativePath: handlePath, handle });
+    }
+  }
+  return entries;
+}
+
+async function importFolder() {
+  try {
+    const directoryHandle = await window.showDirectoryPicker({ mode: "read" });
+    const entries = await collectDirectoryEntries(directoryHandle);
+    console.log(`Found ${entries.length} files in folder ${directoryHandle.name}`);
+    await addFiles(entries, { link: linkFiles.val });
+  } catch (error) {
+    if (error.name === "AbortError") {
+      console.log("Folder selection cancelled");
+      return;
+    }
+    handleError(error);
+    alert("Failed to import the selected folder. Please try again.");
+  }
+}
+
+// Linked files: the library keeps FileSystemFileHandles and reads the originals in place,
+// so nothing is copied and the size limit doesn't apply. Needs the File System Access API.
+const LINK_FILES_KEY = "linkFiles";
+const supportsFileLinking = "showOpenFilePicker" in window && "showDirectoryPicker" in window;
+const linkFiles = van.state(supportsFileLinking && readStoredJSON(LINK_FILES_KEY, false) === true);
+const unresolvedLinkedCount = van.derive(() => mediaFiles.val.filter((file) => file.handle && !file.file).length);
+
+function setLinkFiles(enabled) {
+  linkFiles.val = enabled;
+  writeStoredJSON(LINK_FILES_KEY, enabled);
+}
+
+async function linkFilesFromPicker() {
+  try {
+    const handles = await window.showOpenFilePicker({
+      multiple: true,
+      types: [{ description: "Audio and video", accept: { "audio/*": [], "video/*": [] } }],
+    });
+    const entries = [];
+    for (const handle of handles) {
+      entries.push({ file: await handle.getFile(), relativePath: "", handle });
+    }
+    await addFiles(entries, { link: true });
+  } catch (error) {
+    if (error.name === "AbortError") {
+      console.log("File selection cancelled");
+      return;
+    }
+    handleError(error);
+    alert("Failed to link the selected files. Please try again.");
+  }
+}
+
+// Returns the record with its File filled in, or null if it can't be read
+async function resolveLinkedFile(file) {
+  if (file.file || !file.handle) {
+    return file;
+  }
+
+  // Permission prompts need a user gesture. Auto-advance, the sleep timer and Media Session
+  // actions have none, so those leave the file to the "Allow access" banner instead.
+  const canPrompt = navigator.userActivation?.isActive ?? true;
+  try {
+    const blob = await readMediaFile({ handle: file.handle }, file, { prompt: canPrompt });
+    if (!blob) {
+      if (canPrompt) {
+        alert(`Permission to read ${file.name} was not granted.`);
+      } else {
+        console.log(`${file.name} needs permission, waiting for "Allow access".`);
+        sidebarOpen.val = true;
+      }
+      return null;
+    }
+    updateMediaFile(file.id, (current) => ({ ...current, file: blob }));
+    return mediaFiles.val.find((item) => item.id === file.id) || null;
+  } catch (error) {
+    handleError(error);
+    alert(error.name === "NotFoundError"
+      ? `${file.name} was moved or deleted. Remove it from the library and link it again.`
+      : `Could not open ${file.name}: ${error.message}`);
+    return null;
+  }
+}
+
+async function requestLinkedFileAccess() {
+  for (const file of mediaFiles.val.filter((item) => item.handle && !item.file)) {
+    if (!await resolveLinkedFile(file)) {
+      break;
+    }
+  }
+  scanMissingMetadata();
+}
+
+// Folder tree for the sidebar: { folders: Map<name, node>, files: [] }
+function buildFolderTree(files) {
+  const root = { path: "", folders: new Map(), files: [] };
+  for (const file of files) {
+    const segments = file.relativePath.split("/").slice(0, -1);
+    let node = root;
+    for (const segment of segments) {
+      if (!node.folders.has(segment)) {
+        node.folders.set(segment, {
+          path: node.path ? `${node.path}/${segment}` : segment,
+          folders: new Map(),
+          files: [],
+        });
+      }
+      node = node.folders.get(segment);
+    }
+    node.files.push(file);
+  }
+  return root;
+}
+
+function countFolderFiles(node) {
+  let count = node.files.length;
+  node.folders.forEach((child) => {
+    count += countFolderFiles(child);
+  });
+  return count;
+}
+
+function toggleFolderCollapsed(path) {
+  const paths = collapsedFolders.val.includes(path)
+    ? collapsedFolders.val.filter((item) => item !== path)
+    : [...collapsedFolders.val, path];
+  collapsedFolders.val = paths;
+  writeStoredJSON(COLLAPSED_FOLDERS_KEY, paths);
+}
+
+function deleteAllFiles() {
+  const confirmDialog = document.getElementById("confirm-dialog");
+  confirmDialog.showModal();
+}
+
+async function confirmDeleteAll() {
+  // Made async
+  clearCurrentFileSelection();
+
+  // Release all object URLs
+  objectUrls.forEach((url, id) => {
+    URL.revokeObjectURL(url);
+  });
+  objectUrls.clear();
+  releaseAllArtworkURLs();
+
+  // Clear blobs from IndexedDB
+  try {
+    const db = await initDB();
+    await clearAllMediaFiles(db);
+    await clearAllArtwork(db);
+    await clearAllThumbnails(db);
+    await clearAllSubtitles(db);
+    await clearAllBookmarks(db);
+    console.log("All file blobs cleared from IndexedDB.");
+  } catch (error) {
+    handleError(error);
+    alert("Could not clear all stored file data. Please try again.");
+  }
+
+  saveMediaFiles([]);
+  savePlayQueue([]);
+  bookmarks.val = {};
+  playlists.val.forEach((playlist) => {
+    updatePlaylist(playlist.id, (current) => ({ ...current, fileIds: [] }));
+  });
+  document.getElementById("confirm-dialog").close();
+}
+
+// Library backup: a single ZIP of every stored blob plus a JSON manifest of everything else
+const BACKUP_FORMAT = "localfiles.stream-backup";
+const BACKUP_VERSION = 1;
+const BACKUP_MANIFEST_NAME = "manifest.json";
+const BACKUP_SETTINGS_KEYS = [
+  LIBRARY_VIEW_KEY,
+  COLLAPSED_FOLDERS_KEY,
+  PLAY_QUEUE_KEY,
+  ACTIVE_PLAYLIST_KEY,
+  PLAYBACK_DEFAULTS_KEY,
+  SHORTCUTS_KEY,
+  AUDIO_SETTINGS_KEY,
+  NORMALIZATION_KEY,
+  EQUALIZER_KEY,
+  EQUALIZER_PRESETS_KEY,
+  SILENCE_SAVED_KEY,
+  "lastPlayedFileId",
+];
+const backupStatus = van.state(null);
+const pendingImportFile = van.state(null);
+
+function getArchiveName(name) {
+  return (name || "file").replace(/[\\/:*?"<>|\u0000-\u001f]/g, "_");
+}
+
+function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  a({ href: url, download: filename }).click();
+  setTimeout(() => URL.revokeObjectURL(url), 60 * 1000);
+}
+
+// Save-file picker streams straight to disk; elsewhere a Blob of references to the stored
+// blobs is downloaded, which the browser also assembles without copying them into memory
+async function openBackupSink(suggestedName) {
+  if ("showSaveFilePicker" in window) {
+    const handle = await window.showSaveFilePicker({
+      suggestedName,
+      types: [{ description: "ZIP archive", accept: { "application/zip": [".zip"] } }],
+    });
+    const writable = await handle.createWritable();
+    return {
+      write: (part) => writable.write(part),
+      close: () => writable.close(),
+      abort: () => writable.abort(),
+    };
+  }
+
+  const parts = [];
+  return {
+    write: (part) => parts.push(part),
+    close: () => downloadBlob(new Blob(parts, { type: "application/zip" }), suggestedName),
+    abort: () => {
+      parts.length = 0;
+    },
+  };
+}
+
+const runCrcWorker = createWorkerClient(
+  () => new Worker(new URL("./crc32.worker.js", import.meta.url), { type: "module" })
+);
+
+// CRC-32 reads every byte of the file, so it runs in a worker where one is available
+async function computeBackupChecksum(blob, onProgress) {
+  if (typeof Worker === "undefined") {
+    return crc32(blob, onProgress);
+  }
+  return (await runCrcWorker({ blob }, [], { onProgress })).crc;
+}
+
+async function exportLibrary() {
+  if (backupStatus.val) {
+    return;
+  }
+
+  let sink;
+  try {
+    sink = await openBackupSink(`localfiles-backup-${new Date().toISOString().slice(0, 10)}.zip`);
+  } catch (error) {
+    if (error.name !== "AbortError") {
+      handleError(error);
+      alert("Could not start the export.");
+    }
+    return;
+  }
+
+  try {
+    const db = await initDB();
+    const zip = createZipWriter(sink, { checksum: computeBackupChecksum });
+    const files = mediaFiles.val.filter((file) => file.file instanceof Blob);
+    const manifestFiles = [];
+    if (files.length < mediaFiles.val.length) {
+      console.warn(`Skipping ${mediaFiles.val.length - files.length} files whose content isn't loaded (missing, or linked and not opened yet).`);
+    }
+
+    for (const [index, file] of files.entries()) {
+      const archivePath = `media/${file.id}/${getArchiveName(file.name)}`;
+      const label = `Exporting ${index + 1}/${files.length}: ${file.name}`;
+      backupStatus.val = label;
+      await zip.addFile(archivePath, file.file, {
+        onProgress: (done) => {
+          backupStatus.val = `${label} (${Math.round((done / file.file.size) * 100)}%)`;
+        },
+      });
+      manifestFiles.push({ ...toStoredMetadata(file), archivePath });
+    }
+
+    backupStatus.val = "Exporting artwork...";
+    const images = [];
+    for (const [kind, items] of [["artwork", await retrieveAllArtwork(db)], ["thumbnails", await retrieveAllThumbnails(db)]]) {
+      for (const item of items) {
+        const archivePath = `${kind}/${item.id}`;
+        await zip.addFile(archivePath, item.blob);
+        images.push({ kind, id: item.id, type: item.blob.type, archivePath });
+      }
+    }
+
+    const settings = {};
+    BACKUP_SETTINGS_KEYS.forEach((key) => {
+      const value = localStorage.getItem(key);
+      if (value !== null) {
+        settings[key] = value;
+      }
+    });
+    const manifest = {
+      format: BACKUP_FORMAT,
+      version: BACKUP_VERSION,
+      exportedAt: new Date().toISOString(),
+      files: manifestFiles,
+      images,
+      playlists: playlists.val,
+      bookmarks: await retrieveAllBookmarks(db),
+      subtitles: await retrieveAllSubtitles(db),
+      settings,
+    };
+    await zip.addFile(BACKUP_MANIFEST_NAME, new Blob([JSON.stringify(manifest, null, 2)], { type: "application/json" }));
+    await zip.close();
+    console.log(`Exported ${files.length} files to a backup archive.`);
+  } catch (error) {
+    handleError(error);
+    await sink.abort?.();
+    alert(`Export failed: ${error.message}`);
+  } finally {
+    backupStatus.val = null;
+  }
+}
+
+function chooseLibraryImport(file) {
+  pendingImportFile.val = file;
+  document.getElementById("import-dialog").showModal();
+}
+
+// Library records for the backup's files, whose contents are slices of the archive
+function readBackupRecords(manifest, entries) {
+  return manifest.files.flatMap((meta) => {
+    const entry = entries.get(meta.archivePath);
+    if (!entry) {
+      console.warn(`Backup is missing ${meta.archivePath}, skipping.`);
+      return [];
+    }
+    const record = { ...meta, file: new File([entry.blob], meta.name, { type: meta.type, lastModified: meta.lastModified }) };
+    delete record.archivePath;
+    return [normalizeMediaFileRecord(record)];
+  });
+}
+
+// The backup's files are copied next to the current ones under fresh keys, then one transaction
+// swaps every library store over. Until that commits the current library is untouched, and a
+// failed import only removes what it copied.
+async function replaceLibraryData(db, manifest, records, images) {
+  const previousSources = await readMediaSources(db);
+  const staged = [];
+  try {
+    for (const [index, record] of records.entries()) {
+      backupStatus.val = `Importing ${index + 1}/${records.length}: ${record.name}`;
+      const contentKey = `${record.id}-${Date.now()}`;
+      pendingMediaWrites.add(contentKey);
+      staged.push({ record, contentKey, source: await copyMediaStore.put(contentKey, record.file) });
+    }
+
+    await dbTransaction(
+      db,
+      ["mediaFiles", "metadata", "artwork", "thumbnails", "playlists", "bookmarks", "subtitles"],
+      "readwrite",
+      (stores) => {
+        Object.values(stores).forEach((store) => store.clear());
+        staged.forEach(({ record, source }) => {
+          stores.mediaFiles.put({ id: record.id, ...source });
+          stores.metadata.put(toStoredMetadata(record));
+        });
+        images.forEach(({ kind, id, blob }) => stores[kind].put({ id, blob }));
+        (manifest.playlists || []).forEach((playlist) => stores.playlists.put(playlist));
+        (manifest.bookmarks || []).forEach((bookmark) => stores.bookmarks.put(bookmark));
+        (manifest.subtitles || []).forEach((subtitle) => stores.subtitles.put(subtitle));
+      },
+    );
+  } catch (error) {
+    for (const { contentKey, source } of staged) {
+      await copyMediaStore.delete(contentKey, source).catch(handleError);
+    }
+    throw error;
+  } finally {
+    staged.forEach(({ contentKey }) => pendingMediaWrites.delete(contentKey));
+  }
+
+  clearCurrentFileSelection();
+  for (const source of previousSources) {
+    const store = getSourceStore(source);
+    await store?.delete(store.keyOf(source), source).catch(handleError);
+  }
+}
+
+// mode "merge" keeps the library and overwrites records with matching IDs; "replace" starts over
+async function importLibrary(archive, mode) {
+  if (backupStatus.val) {
+    return;
+  }
+
+  try {
+    backupStatus.val = "Reading backup...";
+    const entries = new Map((await readZip(archive)).map((entry) => [entry.name, entry]));
+    const manifestEntry = entries.get(BACKUP_MANIFEST_NAME);
+    const manifest = manifestEntry && JSON.parse(await manifestEntry.blob.text());
+    if (manifest?.format !== BACKUP_FORMAT || manifest.version > BACKUP_VERSION) {
+      throw new Error("This is not a library backup made by this app.");
+    }
+
+    const db = await initDB();
+    const records = readBackupRecords(manifest, entries);
+    const images = (manifest.images || [])
+      .filter((image) => entries.has(image.archivePath))
+      .map(({ kind, id, type, archivePath }) => {
+        const entry = entries.get(archivePath);
+        return { kind, id, blob: entry.blob.slice(0, entry.size, type) };
+      });
+
+    if (mode === "replace") {
+      await replaceLibraryData(db, manifest, records, images);
+      console.log(`Imported ${records.length} files (replace).`);
+      savePlayQueue([]);
+      Object.entries(manifest.settings || {}).forEach(([key, value]) => localStorage.setItem(key, value));
+      // Settings are read once at startup
+      window.location.reload();
+      return;
+    }
+
+    for (const [index, record] of records.entries()) {
+      backupStatus.val = `Importing ${index + 1}/${records.length}: ${record.name}`;
+      // A record with a matching ID gets the backup's content and metadata
+      await swapMediaFileContent(db, record);
+    }
+    for (const { kind, id, blob } of images) {
+      await (kind === "artwork" ? storeArtwork : storeThumbnail)(db, id, blob);
+    }
+    for (const playlist of manifest.playlists || []) {
+      await storePlaylist(db, playlist);
+    }
+    for (const bookmark of manifest.bookmarks || []) {
+      await storeBookmark(db, bookmark);
+    }
+    for (const subtitle of manifest.subtitles || []) {
+      await storeSubtitle(db, subtitle);
+    }
+
+    console.log(`Imported ${records.length} files (merge).`);
+    releaseAllArtworkURLs();
+    await loadData();
+    alert(`Imported ${records.length} file(s) from the backup.`);
+  } catch (error) {
+    handleError(error);
+    alert(`Import failed: ${error.message}`);
+  } finally {
+    backupStatus.val = null;
+  }
+}
+
+// Progress sync: listening state only, matched by name + size since IDs differ between devices
+const PROGRESS_FORMAT = "localfiles.stream-progress";
+const PROGRESS_VERSION = 1;
+const pendingProgressImport = van.state(null);
+
+const getProgressKey = (name, size) => `${name}\u0000${size}`;
+
+// Newest of the first and latest interaction, used for last-write-wins
+function getInteractionTime(record) {
+  return [record.interactedAt, record.lastPlayedAt]
+    .filter((value) => typeof value === "string")
+    .sort()
+    .pop() || "";
+}
+
+function exportProgress() {
+  const entries = mediaFiles.val.map((file) => ({
+    name: file.name,
+    size: file.size,
+    ...(file.contentHash ? { hash: file.contentHash } : {}),
+    progress: file.progress,
+    duration: file.duration,
+    interactedAt: file.interactedAt,
+    lastPlayedAt: file.lastPlayedAt,
+    isNew: file.isNew,
+    bookmarks: getFileBookmarks(file.id).map(({ time, label, note, createdAt }) => ({ time, label, note, createdAt })),
+  }));
+  const data = { format: PROGRESS_FORMAT, version: PROGRESS_VERSION, exportedAt: new Date().toISOString(), entries };
+  downloadBlob(
+    new Blob([JSON.stringify(data)], { type: "application/json" }),
+    `localfiles-progress-${new Date().toISOString().slice(0, 10)}.json`,
+  );
+  console.log(`Exported progress for ${entries.length} files.`);
+}
+
+// Pairs each imported entry with a library record; a hash match wins over name + size
+function planProgressImport(entries) {
+  const byKey = new Map(mediaFiles.val.map((file) => [getProgressKey(file.name, file.size), file]));
+  const byHash = new Map(mediaFiles.val.filter((file) => file.contentHash).map((file) => [file.contentHash, file]));
+  const changes = [];
+  let unmatched = 0;
+  let unchanged = 0;
+
+  entries.forEach((entry) => {
+    const file = (entry.hash && byHash.get(entry.hash)) || byKey.get(getProgressKey(entry.name, entry.size));
+    if (!file) {
+      unmatched += 1;
+      return;
+    }
+    if (getInteractionTime(entry) <= getInteractionTime(file)) {
+      unchanged += 1;
+      return;
+    }
+    changes.push({ file, entry });
+  });
+  return { changes, unmatched, unchanged };
+}
+
+async function chooseProgressImport(file) {
+  try {
+    const data = JSON.parse(await file.text());
+    if (data?.format !== PROGRESS_FORMAT || !Array.isArray(data.entries)) {
+      throw new Error("This is not a progress file made by this app.");
+    }
+    pendingProgressImport.val = { name: file.name, exportedAt: data.exportedAt, ...planProgressImport(data.entries) };
+    document.getElementById("progress-import-dialog").showModal();
+  } catch (error) {
+    handleError(error);
+    alert(`Could not read the progress file: ${error.message}`);
+  }
+}
+
+async function applyProgressImport() {
+  const plan = pendingProgressImport.val;
+  document.getElementById("progress-import-dialog").close();
+  if (!plan || plan.changes.length === 0) {
+    return;
+  }
+
+  try {
+    const db = await initDB();
+    const entriesById = new Map(plan.changes.map(({ file, entry }) => [file.id, entry]));
+    saveMediaFiles(mediaFiles.val.map((file) => {
+      const entry = entriesById.get(file.id);
+      return entry
+        ? normalizeMediaFileRecord({
+          ...file,
+          progress: entry.progress,
+          duration: entry.duration || file.duration,
+          interactedAt: entry.interactedAt,
+          lastPlayedAt: entry.lastPlayedAt,
+          isNew: entry.isNew,
+        })
+        : file;
+    }));
+
+    // The newer side's bookmarks replace the older side's
+    for (const [fileId, entry] of entriesById) {
+      await removeBookmarksForFile(db, fileId);
+      const items = (entry.bookmarks || []).filter((bookmark) => Number.isFinite(bookmark.time)).map((bookmark) => ({
+        id: `bookmark-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+        fileId,
+        time: bookmark.time,
+        label: bookmark.label || formatTimestamp(bookmark.time),
+        note: bookmark.note || "",
+        createdAt: bookmark.createdAt || new Date().toISOString(),
+      }));
+      for (const bookmark of items) {
+        await storeBookmark(db, bookmark);
+      }
+      setFileBookmarks(fileId, items);
+    }
+    console.log(`Applied imported progress to ${entriesById.size} files.`);
+  } catch (error) {
+    handleError(error);
+    alert("Could not apply the imported progress. Please try again.");
+  }
+}
+
+function describeProgress(record) {
+  if (record.isNew) {
+    return "New";
+  }
+  return isFileFinished(record) ? "Finished" : formatTimestamp(record.progress || 0);
+}
+
+function cancelDeleteAll() {
+  document.getElementById("confirm-dialog").close();
+}
+
+async function forceUpdate() {
+  isUpdating.val = true;
+  console.log("Checking for updates...");
+
+  try {
+    // Try to update via service worker API
+    await updateServiceWorker(true);
+
+    // Always reload to ensure we get the latest - the SW API doesn't reliably
+    // tell us if an update was found
+    window.location.reload();
+  } catch (error) {
+    console.error("Error checking for updates:", error);
+    // Reload anyway to try to get latest
+    window.location.reload();
+  }
+}
+
+function updateProgress(id, currentTime) {
+  updateMediaFile(id, (file) => ({ ...file, progress: currentTime }));
+}
+
+// Play queue
+function savePlayQueue(ids) {
+  playQueue.val = ids;
+  writeStoredJSON(PLAY_QUEUE_KEY, ids);
+}
+
+function enqueueFile(id) {
+  if (!playQueue.val.includes(id)) {
+    savePlayQueue([...playQueue.val, id]);
+  }
+}
+
+function dequeueFile(id) {
+  if (playQueue.val.includes(id)) {
+    savePlayQueue(playQueue.val.filter((queuedId) => queuedId !== id));
+  }
+}
+
+function moveQueuedFile(id, offset) {
+  const ids = [...playQueue.val];
+  const from = ids.indexOf(id);
+  const to = from + offset;
+  if (from === -1 || to < 0 || to >= ids.length) {
+    return;
+  }
+
+  ids.splice(to, 0, ...ids.splice(from, 1));
+  savePlayQueue(ids);
+}
+
+// Library search, filter and sort
+const naturalCompare = (a, b) =>
+  a.localeCompare(b, undefined, { numeric: true, sensitivity: "base" });
+
+const SORT_MODES = {
+  added: { label: "Date added", compare: (a, b) => (a.dateAdded || "").localeCompare(b.dateAdded || "") },
+  name: { label: "Name", compare: (a, b) => naturalCompare(getDisplayName(a), getDisplayName(b)) },
+  duration: { label: "Duration", compare: (a, b) => a.duration - b.duration },
+  size: { label: "Size", compare: (a, b) => (a.size || 0) - (b.size || 0) },
+  progress: { label: "Progress", compare: (a, b) => getFileProgressPercent(a) - getFileProgressPercent(b) },
+  lastPlayed: { label: "Last played", compare: (a, b) => (a.lastPlayedAt || "").localeCompare(b.lastPlayedAt || "") },
+};
+
+const TYPE_FILTERS = {
+  all: { label: "All types", matches: () => true },
+  audio: { label: "Audio", matches: (file) => file.type.startsWith("audio/") },
+  video: { label: "Video", matches: (file) => file.type.startsWith("video/") },
+};
+
+const STATUS_FILTERS = {
+  all: { label: "Any status", matches: () => true },
+  new: { label: "New", matches: (file) => file.isNew },
+  inProgress: { label: "In progress", matches: (file) => file.progress > 0 && !isFileFinished(file) },
+  finished: { label: "Finished", matches: isFileFinished },
+};
+
+function setLibraryView(changes) {
+  libraryView.val = { ...libraryView.val, ...changes };
+  writeStoredJSON(LIBRARY_VIEW_KEY, libraryView.val);
+}
+
+// 2 for a substring match, 1 for a fuzzy (in-order characters) match, 0 for no match
+function getSearchScore(file, query) {
+  const text = [getDisplayName(file), file.name, getDisplaySubtitle(file)]
+    .filter(Boolean)
+    .join(" ")
+    .toLowerCase();
+  if (text.includes(query)) {
+    return 2;
+  }
+
+  let matched = 0;
+  const chars = query.replace(/\s+/g, "");
+  for (const char of text) {
+    if (char === chars[matched]) {
+      matched++;
     }
+  }
+  return matched === chars.length ? 1 : 0;
+}
+
+// Apply the current search and filters, and the sort mode unless the caller keeps its own order
+function getLibraryFiles(files, { sorted = true } = {}) {
+  const { sort, reverse, type, status } = libraryView.val;
+  const query = librarySearch.val.trim().toLowerCase();
+  const typeFilter = TYPE_FILTERS[type] || TYPE_FILTERS.all;
+  const statusFilter = STATUS_FILTERS[status] || STATUS_FILTERS.all;
+  const sortMode = SORT_MODES[sort] || SORT_MODES.added;
+
+  let result = files.filter((file) => typeFilter.matches(file) && statusFilter.matches(file));
+  if (sorted) {
+    result = [...result].sort((a, b) => sortMode.compare(a, b) * (reverse ? -1 : 1));
+  }
+
+  if (!query) {
+    return result;
+  }
+
+  // Stable partition keeps the sort order within substring and fuzzy matches
+  const scored = result.map((file) => ({ file, score: getSearchScore(file, query) }));
+  return [2, 1].flatMap((score) => scored.filter((item) => item.score === score).map((item) => item.file));
+}
+
+// Drop queued IDs whose file is no longer in the library
+function pruneQueue() {
+  const knownIds = new Set(mediaFiles.val.map((file) => file.id));
+  const ids = playQueue.val.filter((id) => knownIds.has(id));
+  if (ids.length !== playQueue.val.length) {
+    savePlayQueue(ids);
+  }
+}
+
+function getQueuedFiles() {
+  return playQueue.val
+    .map((id) => mediaFiles.val.find((file) => file.id === id))
+    .filter(Boolean);
+}
+
+// Queued files take priority, then the active playlist continues in order
+function getNextFile() {
+  const [queuedFile] = getQueuedFiles();
+  if (queuedFile) {
+    return queuedFile;
+  }
+
+  const playlistFiles = getPlaylistFiles(getActivePlaylist());
+  const index = playlistFiles.findIndex((file) => file.id === currentFileId.val);
+  return index === -1 ? null : playlistFiles[index + 1] || null;
+}
+
+function playNextFile() {
+  const nextFile = getNextFile();
+  if (!nextFile) {
+    console.log("Nothing queued, stopping playback.");
+    return false;
+  }
+
+  console.log(`Auto-advancing to next file: ${nextFile.id}`);
+  playFile(nextFile, { markInteracted: true });
+  return true;
+}
+
+// Files in the order the sidebar currently shows them (folders first, like FolderContents)
+function flattenFolderTree(node) {
+  return [
+    ...[...node.folders.entries()]
+      .sort(([a], [b]) => naturalCompare(a, b))
+      .flatMap(([, child]) => flattenFolderTree(child)),
+    ...node.files,
+  ];
+}
+
+function getSidebarFiles() {
+  const playlist = getActivePlaylist();
+  if (playlist) {
+    return getLibraryFiles(getPlaylistFiles(playlist), { sorted: false });
+  }
+  const visibleFiles = getLibraryFiles(mediaFiles.val);
+  return libraryView.val.layout === "grid" ? visibleFiles : flattenFolderTree(buildFolderTree(visibleFiles));
+}
+
+// Manual skipping: the queue still wins going forward, otherwise step through the sidebar
+function playAdjacentFile(offset) {
+  const [queuedFile] = offset > 0 ? getQueuedFiles() : [];
+  const files = getSidebarFiles();
+  const index = files.findIndex((file) => file.id === currentFileId.val);
+  const targetFile = queuedFile || (index === -1 ? files[0] : files[index + offset]);
+  if (!targetFile) {
+    console.log(`No file at offset ${offset} from the current one.`);
+    return false;
+  }
+
+  playFile(targetFile, { markInteracted: true });
+  return true;
+}
+
+// Like most players: restart the current file unless it just started
+function playPreviousFile() {
+  const player = document.getElementById("media-player");
+  if (player && currentFileId.val && player.currentTime > RESTART_THRESHOLD_SECONDS) {
+    player.currentTime = 0;
+    return true;
+  }
+  return playAdjacentFile(-1);
+}
+
+function seekPlayerBy(seconds) {
+  const player = document.getElementById("media-player");
+  if (!player || !currentFileId.val) {
+    return;
+  }
+  const duration = Number.isFinite(player.duration) ? player.duration : Infinity;
+  player.currentTime = Math.min(Math.max(player.currentTime + seconds, 0), duration);
+}
+
+// Media Session: lock-screen, notification and hardware media key controls
+const SEEK_OFFSET_SECONDS = 10;
+const RESTART_THRESHOLD_SECONDS = 3;
+let publishedMediaMetadata = null;
+
+function publishMediaMetadata(file) {
+  if (!("mediaSession" in navigator)) {
+    return;
+  }
+  if (!file) {
+    publishedMediaMetadata = null;
+    navigator.mediaSession.metadata = null;
+    return;
+  }
+
+  const metadata = {
+    title: getDisplayName(file),
+    artist: file.tags?.artist || "",
+    album: file.tags?.album || "",
+    artwork: [{ src: getArtworkUrl(file), sizes: "512x512" }],
+  };
+  // getCurrentFile() changes on every progress update, only republish real changes
+  const key = JSON.stringify(metadata);
+  if (key === publishedMediaMetadata) {
+    return;
+  }
+  publishedMediaMetadata = key;
+  navigator.mediaSession.metadata = new MediaMetadata(metadata);
+}
+
+function updateMediaPositionState(player) {
+  if (!navigator.mediaSession?.setPositionState) {
+    return;
+  }
+  if (!Number.isFinite(player.duration) || player.duration <= 0) {
+    return;
+  }
+  try {
+    navigator.mediaSession.setPositionState({
+      duration: player.duration,
+      playbackRate: player.playbackRate || 1,
+      position: Math.min(player.currentTime, player.duration),
+    });
   } catch (error) {
-    console.warn("Could not update lastPlayedFileId in Local Storage:", error);
+    console.warn("Failed to set media position state:", error);
   }
 }
 
-// Make sure to release URLs when files are deleted
-async function deleteFile(id) {
-  // Made async
-  console.log(`Deleting file with ID: ${id}`);
+function setupMediaSession() {
+  if (!("mediaSession" in navigator)) {
+    console.log("Media Session API not supported.");
+    return;
+  }
 
-  // Release any object URL for this file
-  releaseObjectURL(id);
+  const getPlayer = () => document.getElementById("media-player");
+  const handlers = {
+    play: () => getPlayer()?.play().catch(console.error),
+    pause: () => getPlayer()?.pause(),
+    seekbackward: (details) => seekPlayerBy(-(details.seekOffset || SEEK_OFFSET_SECONDS)),
+    seekforward: (details) => seekPlayerBy(details.seekOffset || SEEK_OFFSET_SECONDS),
+    seekto: (details) => {
+      const player = getPlayer();
+      if (!player || !currentFileId.val) {
+        return;
+      }
+      if (details.fastSeek && player.fastSeek) {
+        player.fastSeek(details.seekTime);
+      } else {
+        player.currentTime = details.seekTime;
+      }
+    },
+    previoustrack: playPreviousFile,
+    nexttrack: () => playAdjacentFile(1),
+  };
 
-  // Remove blob from IndexedDB
+  for (const [action, handler] of Object.entries(handlers)) {
+    try {
+      navigator.mediaSession.setActionHandler(action, handler);
+    } catch (error) {
+      console.log(`Media Session action "${action}" is not supported.`);
+    }
+  }
+
+  van.derive(() => publishMediaMetadata(getCurrentFile()));
+}
+
+// Keyboard shortcuts
+const FRAME_STEP_SECONDS = 1 / 30; // Media elements don't expose the frame rate
+const SHORTCUT_ACTIONS = {
+  playPause: { label: "Play / pause", keys: [" ", "k"], run: togglePlayback },
+  seekBackward: { label: "Back 10 seconds", keys: ["j"], run: () => seekPlayerBy(-10) },
+  seekForward: { label: "Forward 10 seconds", keys: ["l"], run: () => seekPlayerBy(10) },
+  seekBackwardSmall: { label: "Back 5 seconds", keys: ["ArrowLeft"], run: () => seekPlayerBy(-5) },
+  seekForwardSmall: { label: "Forward 5 seconds", keys: ["ArrowRight"], run: () => seekPlayerBy(5) },
+  frameBackward: { label: "Previous frame", keys: [","], run: () => stepFrame(-1) },
+  frameForward: { label: "Next frame", keys: ["."], run: () => stepFrame(1) },
+  slower: { label: "Slower", keys: ["["], run: () => setPlaybackRate(currentPlaybackRate.val - PLAYBACK_RATE_STEP) },
+  faster: { label: "Faster", keys: ["]"], run: () => setPlaybackRate(currentPlaybackRate.val + PLAYBACK_RATE_STEP) },
+  nextFile: { label: "Next file", keys: ["n"], run: () => playAdjacentFile(1) },
+  previousFile: { label: "Previous file", keys: ["p"], run: playPreviousFile },
+  fullscreen: { label: "Fullscreen", keys: ["f"], run: toggleFullscreen },
+  mute: { label: "Mute", keys: ["m"], run: toggleMute },
+  addBookmark: { label: "Add bookmark", keys: ["b"], run: addBookmark },
+  focusSearch: { label: "Search files", keys: ["/"], run: focusLibrarySearch },
+  showHelp: { label: "Show shortcuts", keys: ["?"], run: openShortcutsDialog },
+};
+
+function getShortcutKeys(actionId) {
+  return shortcutOverrides.val[actionId] ?? SHORTCUT_ACTIONS[actionId].keys;
+}
+
+function findShortcutAction(key) {
+  return Object.keys(SHORTCUT_ACTIONS).find((actionId) => getShortcutKeys(actionId).includes(key)) || null;
+}
+
+function formatShortcutKey(key) {
+  const names = { " ": "Space", ArrowLeft: "←", ArrowRight: "→", ArrowUp: "↑", ArrowDown: "↓", Escape: "Esc" };
+  return names[key] || (key.length === 1 ? key.toUpperCase() : key);
+}
+
+// A key belongs to one action: taking it removes it from whichever action had it
+function remapShortcut(actionId, key) {
+  const overrides = {};
+  for (const otherId of Object.keys(SHORTCUT_ACTIONS)) {
+    const keys = getShortcutKeys(otherId);
+    if (otherId === actionId) {
+      overrides[otherId] = [key];
+    } else if (keys.includes(key)) {
+      overrides[otherId] = keys.filter((item) => item !== key);
+    } else if (shortcutOverrides.val[otherId]) {
+      overrides[otherId] = keys;
+    }
+  }
+  shortcutOverrides.val = overrides;
+  writeStoredJSON(SHORTCUTS_KEY, overrides);
+}
+
+function resetShortcuts() {
+  shortcutOverrides.val = {};
+  writeStoredJSON(SHORTCUTS_KEY, {});
+}
+
+function togglePlayback() {
+  const player = document.getElementById("media-player");
+  if (!player || !currentFileId.val) {
+    return;
+  }
+  if (player.paused) {
+    player.play().catch(console.error);
+  } else {
+    player.pause();
+  }
+}
+
+function stepFrame(direction) {
+  const player = document.getElementById("media-player");
+  if (!player || !currentFileId.val) {
+    return;
+  }
+  player.pause();
+  seekPlayerBy(direction * FRAME_STEP_SECONDS);
+}
+
+function toggleFullscreen() {
+  const player = document.getElementById("media-player");
+  if (document.fullscreenElement) {
+    document.exitFullscreen().catch(console.error);
+  } else if (player?.requestFullscreen) {
+    player.requestFullscreen().catch(console.error);
+  } else if (player?.webkitEnterFullscreen) {
+    player.webkitEnterFullscreen(); // iOS Safari only supports fullscreen on the video itself
+  }
+}
+
+function toggleMute() {
+  const player = document.getElementById("media-player");
+  if (player) {
+    player.muted = !player.muted;
+  }
+}
+
+function focusLibrarySearch() {
+  sidebarOpen.val = true;
+  document.getElementById("library-search")?.focus();
+}
+
+function openShortcutsDialog() {
+  remappingShortcut.val = null;
+  document.getElementById("shortcuts-dialog").showModal();
+}
+
+// Fields, dialogs and focused controls keep their own keys
+function shouldIgnoreShortcut(e) {
+  if (e.ctrlKey || e.metaKey || e.altKey || e.defaultPrevented) {
+    return true;
+  }
+  const target = e.target instanceof Element ? e.target : null;
+  if (target?.closest("input, textarea, select, [contenteditable=''], [contenteditable='true'], dialog")) {
+    return true;
+  }
+  if (document.querySelector("dialog[open]")) {
+    return true;
+  }
+  // Buttons, file entries and the native player controls already react to these
+  const ownsKey = e.key === " " || e.key === "Enter" || (target?.matches("video") && e.key.startsWith("Arrow"));
+  return ownsKey && !!target?.closest("button, a, [role='button'], video");
+}
+
+function handleShortcutKeydown(e) {
+  if (shouldIgnoreShortcut(e)) {
+    return;
+  }
+  const actionId = findShortcutAction(e.key);
+  if (!actionId) {
+    return;
+  }
+
+  e.preventDefault();
+  console.log(`Keyboard shortcut: ${actionId}`);
+  SHORTCUT_ACTIONS[actionId].run();
+}
+
+// Playlists
+function getActivePlaylist() {
+  return playlists.val.find((playlist) => playlist.id === activePlaylistId.val) || null;
+}
+
+function getPlaylistFiles(playlist) {
+  if (!playlist) {
+    return [];
+  }
+
+  return playlist.fileIds
+    .map((id) => mediaFiles.val.find((file) => file.id === id))
+    .filter(Boolean);
+}
+
+function setActivePlaylist(id) {
+  activePlaylistId.val = id;
+  writeStoredJSON(ACTIVE_PLAYLIST_KEY, id);
+}
+
+async function persistPlaylist(playlist) {
   try {
     const db = await initDB();
-    await removeFileBlob(db, id);
-    console.log(`Blob for file ID ${id} removed from IndexedDB.`);
+    await storePlaylist(db, playlist);
   } catch (error) {
     handleError(error);
+    alert(`Could not save playlist ${playlist.name}.`);
   }
+}
 
-  // Remove from state
-  const updatedFiles = mediaFiles.val.filter((file) => file.id !== id);
+function updatePlaylist(id, updater) {
+  let updatedPlaylist = null;
+  playlists.val = playlists.val.map((playlist) => {
+    if (playlist.id !== id) {
+      return playlist;
+    }
 
-  if (currentFileId.val === id) {
-    clearCurrentFileSelection(id);
-  }
+    updatedPlaylist = updater(playlist);
+    return updatedPlaylist;
+  });
 
-  // Update metadata in Local Storage
-  saveMediaFiles(updatedFiles);
-  console.log("File metadata updated in Local Storage after deletion.");
+  if (updatedPlaylist) {
+    persistPlaylist(updatedPlaylist);
+  }
 }
 
-function deleteAllFiles() {
-  const confirmDialog = document.getElementById("confirm-dialog");
-  confirmDialog.showModal();
+function createPlaylist(name, fileIds = []) {
+  const playlist = {
+    id: `playlist-${Date.now()}`,
+    name,
+    fileIds,
+    createdAt: new Date().toISOString(),
+  };
+  playlists.val = [...playlists.val, playlist];
+  persistPlaylist(playlist);
+  return playlist;
 }
 
-async function confirmDeleteAll() {
-  // Made async
-  clearCurrentFileSelection();
+function renamePlaylist(id, name) {
+  updatePlaylist(id, (playlist) => ({ ...playlist, name }));
+}
 
-  // Release all object URLs
-  objectUrls.forEach((url, id) => {
-    URL.revokeObjectURL(url);
-  });
-  objectUrls.clear();
+async function deletePlaylist(id) {
+  playlists.val = playlists.val.filter((playlist) => playlist.id !== id);
+  if (activePlaylistId.val === id) {
+    setActivePlaylist(null);
+  }
 
-  // Clear blobs from IndexedDB
   try {
     const db = await initDB();
-    await clearAllFileBlobs(db);
-    console.log("All file blobs cleared from IndexedDB.");
+    await removePlaylist(db, id);
   } catch (error) {
     handleError(error);
-    alert("Could not clear all stored file data. Please try again.");
   }
+}
 
-  // Clear metadata from Local Storage
-  saveMediaFiles([]);
-  console.log("File metadata cleared from Local Storage.");
-  document.getElementById("confirm-dialog").close();
+function toggleFileInPlaylist(playlistId, fileId) {
+  updatePlaylist(playlistId, (playlist) => ({
+    ...playlist,
+    fileIds: playlist.fileIds.includes(fileId)
+      ? playlist.fileIds.filter((id) => id !== fileId)
+      : [...playlist.fileIds, fileId],
+  }));
 }
 
-function cancelDeleteAll() {
-  document.getElementById("confirm-dialog").close();
+function movePlaylistFile(playlistId, fileId, offset) {
+  updatePlaylist(playlistId, (playlist) => {
+    const fileIds = [...playlist.fileIds];
+    const from = fileIds.indexOf(fileId);
+    const to = from + offset;
+    if (from === -1 || to < 0 || to >= fileIds.length) {
+      return playlist;
+    }
+
+    fileIds.splice(to, 0, ...fileIds.splice(from, 1));
+    return { ...playlist, fileIds };
+  });
 }
 
-async function forceUpdate() {
-  isUpdating.val = true;
-  console.log("Checking for updates...");
+function removeFileFromAllPlaylists(fileId) {
+  playlists.val
+    .filter((playlist) => playlist.fileIds.includes(fileId))
+    .forEach((playlist) => toggleFileInPlaylist(playlist.id, fileId));
+}
 
-  try {
-    // Try to update via service worker API
-    await updateServiceWorker(true);
+// Drop playlist entries whose file is no longer in the library
+function prunePlaylists() {
+  const knownIds = new Set(mediaFiles.val.map((file) => file.id));
+  playlists.val
+    .filter((playlist) => playlist.fileIds.some((id) => !knownIds.has(id)))
+    .forEach((playlist) => {
+      updatePlaylist(playlist.id, (current) => ({
+        ...current,
+        fileIds: current.fileIds.filter((id) => knownIds.has(id)),
+      }));
+    });
 
-    // Always reload to ensure we get the latest - the SW API doesn't reliably
-    // tell us if an update was found
-    window.location.reload();
-  } catch (error) {
-    console.error("Error checking for updates:", error);
-    // Reload anyway to try to get latest
-    window.location.reload();
+  if (activePlaylistId.val && !getActivePlaylist()) {
+    setActivePlaylist(null);
   }
 }
 
-function updateProgress(id, currentTime) {
-  updateMediaFile(id, (file) => ({ ...file, progress: currentTime }));
+function openPlaylistDialog(fileId) {
+  playlistDialogFileId.val = fileId;
+  document.getElementById("playlist-dialog").showModal();
+}
+
+function promptForPlaylistName(defaultName = "") {
+  const name = prompt("Playlist name:", defaultName);
+  return name && name.trim() ? name.trim() : null;
 }
 
 // Components
+function ProgressTrack(file, extraClass = "") {
+  const ticks = file.duration > 0 ? getFileBookmarks(file.id) : [];
+
+  return div(
+    { class: `title-progress-track${extraClass ? ` ${extraClass}` : ""}`, "aria-hidden": "true" },
+    span(
+      {
+        class: "title-progress-fill",
+        style: `width: ${getFileProgressPercent(file).toFixed(2)}%`,
+      },
+    ),
+    ...ticks.map((bookmark) => span({
+      class: "title-progress-tick",
+      style: `left: ${Math.min((bookmark.time / file.duration) * 100, 100).toFixed(2)}%`,
+    })),
+  );
+}
+
+function BookmarkChips(items, { editable = false } = {}) {
+  return div(
+    { class: "bookmark-list" },
+    ...items.map((bookmark) => div(
+      { class: "bookmark-chip" },
+      button(
+        {
+          class: "bookmark-jump",
+          title: bookmark.note || `Jump to ${formatTimestamp(bookmark.time)}`,
+          onclick: () => jumpToBookmark(bookmark),
+        },
+        span({ class: "bookmark-time" }, formatTimestamp(bookmark.time)),
+        bookmark.label !== formatTimestamp(bookmark.time) ? span({ class: "bookmark-label" }, bookmark.label) : null,
+        bookmark.note ? span({ class: "bookmark-note-marker", "aria-label": "Has note" }, "✎") : null,
+      ),
+      editable
+        ? [
+          button({ class: "bookmark-action", title: "Edit label and note", onclick: () => editBookmark(bookmark) }, "Edit"),
+          button({ class: "bookmark-action", title: "Delete bookmark", onclick: () => deleteBookmark(bookmark) }, "×"),
+        ]
+        : null,
+    )),
+  );
+}
+
+// Click and Enter/Space handlers for anything that plays a file
+function playOnActivate(file) {
+  return {
+    role: "button",
+    tabindex: 0,
+    onclick: () => {
+      console.log("Clicked on file:", file);
+      playFile(file, { markInteracted: true });
+    },
+    onkeydown: (e) => {
+      if (e.key === "Enter" || e.key === " ") {
+        e.preventDefault();
+        playFile(file, { markInteracted: true });
+      }
+    },
+  };
+}
+
+function FileItem(file, { isCurrent, playlist, index, count }) {
+  const displayName = getDisplayName(file);
+  const isQueued = playQueue.val.includes(file.id);
+
+  return li(
+    {
+      class: `file-item${isCurrent ? " is-current" : ""}`,
+      "data-id": file.id,
+    },
+    img({ class: "file-artwork", src: getArtworkUrl(file), alt: "", loading: "lazy" }),
+    div(
+      { class: "file-entry", ...playOnActivate(file) },
+      div(
+        { class: "file-title-row" },
+        span({ class: "file-name" }, displayName),
+        isFileMissing(file) ? span({ class: "missing-badge", title: "The stored file could not be found" }, "Missing") : null,
+        file.isNew ? span({ class: "new-badge" }, "New") : null,
+      ),
+      getDisplaySubtitle(file) ? span({ class: "file-subtitle" }, getDisplaySubtitle(file)) : null,
+      ProgressTrack(file),
+    ),
+    div(
+      { class: "file-actions" },
+      button(
+        {
+          class: `queue-btn outline${isQueued ? " is-queued" : ""}`,
+          title: isQueued ? "Remove from Up Next" : "Add to Up Next",
+          onclick: (e) => {
+            e.stopPropagation();
+            if (isQueued) {
+              dequeueFile(file.id);
+            } else {
+              enqueueFile(file.id);
+            }
+          },
+        },
+        isQueued ? "✓" : "+",
+      ),
+      playlist
+        ? [
+          button({
+            class: "queue-btn outline",
+            title: "Move up",
+            disabled: index === 0,
+            onclick: (e) => {
+              e.stopPropagation();
+              movePlaylistFile(playlist.id, file.id, -1);
+            },
+          }, "↑"),
+          button({
+            class: "queue-btn outline",
+            title: "Move down",
+            disabled: index === count - 1,
+            onclick: (e) => {
+              e.stopPropagation();
+              movePlaylistFile(playlist.id, file.id, 1);
+            },
+          }, "↓"),
+        ]
+        : button({
+          class: "queue-btn outline",
+          title: "Add to playlist",
+          onclick: (e) => {
+            e.stopPropagation();
+            openPlaylistDialog(file.id);
+          },
+        }, "♫"),
+      button(
+        {
+          class: "delete-btn outline",
+          title: playlist ? "Remove from playlist" : "Delete file",
+          onclick: (e) => {
+            e.stopPropagation();
+            if (playlist) {
+              toggleFileInPlaylist(playlist.id, file.id);
+              return;
+            }
+            console.log(`Deleting file: ${file.id}`);
+            deleteFile(file.id);
+          },
+        },
+        "×",
+      ),
+    ),
+    getFileBookmarks(file.id).length > 0 ? BookmarkChips(getFileBookmarks(file.id)) : null,
+  );
+}
+
+// Grid view tile: thumbnail with the progress underline overlaid, title below
+function FileTile(file, { isCurrent }) {
+  return li(
+    {
+      class: `file-tile${isCurrent ? " is-current" : ""}`,
+      "data-id": file.id,
+      ...playOnActivate(file),
+    },
+    div(
+      { class: "file-tile-thumb" },
+      img({ src: getArtworkUrl(file), alt: "", loading: "lazy" }),
+      ProgressTrack(file, "file-tile-progress"),
+    ),
+    div(
+      { class: "file-title-row" },
+      span({ class: "file-name" }, getDisplayName(file)),
+      file.isNew ? span({ class: "new-badge" }, "New") : null,
+    ),
+  );
+}
+
+// Folders stay expanded while searching so matches are never hidden
+function FolderContents(node, activeFileId, forceExpanded = false) {
+  return [
+    ...[...node.folders.entries()]
+      .sort(([a], [b]) => naturalCompare(a, b))
+      .map(([name, child]) => FolderItem(name, child, activeFileId, forceExpanded)),
+    ...node.files.map((file) => FileItem(file, { isCurrent: activeFileId === file.id })),
+  ];
+}
+
+function FolderItem(name, node, activeFileId, forceExpanded) {
+  const isCollapsed = !forceExpanded && collapsedFolders.val.includes(node.path);
+
+  return li(
+    { class: "folder-item", "data-path": node.path },
+    button(
+      {
+        class: "folder-toggle",
+        "aria-expanded": String(!isCollapsed),
+        onclick: () => toggleFolderCollapsed(node.path),
+      },
+      span({ class: "folder-caret", "aria-hidden": "true" }, isCollapsed ? "▸" : "▾"),
+      span({ class: "folder-name" }, name),
+      span({ class: "folder-count" }, countFolderFiles(node)),
+    ),
+    isCollapsed ? null : ul({ class: "folder-children" }, ...FolderContents(node, activeFileId, forceExpanded)),
+  );
+}
+
+// Rendered outside the sidebar's derived body so the search box keeps focus while typing
+function LibraryControls() {
+  return div(
+    {
+      class: "library-controls",
+      style: van.derive(() => (!isLoading.val && mediaFileCount.val > 0 ? "" : "display: none")),
+    },
+    input({
+      type: "search",
+      id: "library-search",
+      placeholder: "Search files",
+      "aria-label": "Search files",
+      value: librarySearch,
+      oninput: (e) => {
+        librarySearch.val = e.target.value;
+      },
+    }),
+    div(
+      { class: "library-filters" },
+      select(
+        { "aria-label": "Filter by type", onchange: (e) => setLibraryView({ type: e.target.value }) },
+        ...Object.entries(TYPE_FILTERS).map(([value, filter]) => option(
+          { value, selected: libraryView.val.type === value },
+          filter.label,
+        )),
+      ),
+      select(
+        { "aria-label": "Filter by status", onchange: (e) => setLibraryView({ status: e.target.value }) },
+        ...Object.entries(STATUS_FILTERS).map(([value, filter]) => option(
+          { value, selected: libraryView.val.status === value },
+          filter.label,
+        )),
+      ),
+    ),
+    div(
+      { class: "library-sort" },
+      select(
+        { "aria-label": "Sort by", onchange: (e) => setLibraryView({ sort: e.target.value }) },
+        ...Object.entries(SORT_MODES).map(([value, mode]) => option(
+          { value, selected: libraryView.val.sort === value },
+          mode.label,
+        )),
+      ),
+      button(
+        {
+          class: "library-sort-direction outline",
+          title: van.derive(() => (libraryView.val.reverse ? "Descending" : "Ascending")),
+          onclick: () => setLibraryView({ reverse: !libraryView.val.reverse }),
+        },
+        van.derive(() => (libraryView.val.reverse ? "↓" : "↑")),
+      ),
+      button(
+        {
+          class: "library-sort-direction outline",
+          title: van.derive(() => (libraryView.val.layout === "grid" ? "Show as list" : "Show as grid")),
+          onclick: () => setLibraryView({ layout: libraryView.val.layout === "grid" ? "list" : "grid" }),
+        },
+        van.derive(() => (libraryView.val.layout === "grid" ? "☰" : "▦")),
+      ),
+    ),
+  );
+}
+
+// Bound outside the sidebar's derived body, so an open dropdown survives playback progress updates
+function PlaylistPicker() {
+  const playlist = getActivePlaylist();
+
+  return div(
+    { class: "playlist-picker", hidden: isLoading.val || mediaFileCount.val === 0 },
+    select(
+      {
+        "aria-label": "Playlist",
+        onchange: (e) => setActivePlaylist(e.target.value || null),
+      },
+      option({ value: "", selected: !playlist }, `All Files (${mediaFileCount.val})`),
+      ...playlists.val.map((item) => option(
+        { value: item.id, selected: item.id === playlist?.id },
+        `${item.name} (${item.fileIds.length})`,
+      )),
+    ),
+    div(
+      { class: "playlist-picker-buttons" },
+      button({
+        class: "outline",
+        onclick: () => {
+          const name = promptForPlaylistName();
+          if (name) {
+            setActivePlaylist(createPlaylist(name).id);
+          }
+        },
+      }, "New"),
+      playlist ? button({
+        class: "outline",
+        onclick: () => {
+          const name = promptForPlaylistName(playlist.name);
+          if (name) {
+            renamePlaylist(playlist.id, name);
+          }
+        },
+      }, "Rename") : null,
+      playlist ? button({
+        class: "outline",
+        onclick: () => {
+          if (confirm(`Delete playlist "${playlist.name}"? Files stay in your library.`)) {
+            deletePlaylist(playlist.id);
+          }
+        },
+      }, "Delete") : null,
+    ),
+  );
+}
+
 function Sidebar() {
   return aside(
     {
       class: van.derive(() => `sidebar ${sidebarOpen.val ? "open" : ""}`),
       "aria-label": "File sidebar",
     },
+    LibraryControls(),
+    () => PlaylistPicker(),
+    () => (unresolvedLinkedCount.val > 0
+      ? div(
+        { class: "linked-access", role: "status" },
+        span({}, `${unresolvedLinkedCount.val} linked file${unresolvedLinkedCount.val === 1 ? "" : "s"} need permission to play.`),
+        button({ class: "player-control-btn", onclick: requestLinkedFileAccess }, "Allow access"),
+      )
+      : div({ class: "linked-access", hidden: true })),
     van.derive(() => {
       const activeFileId = currentFileId.val;
 
@@ -778,64 +4366,44 @@ function Sidebar() {
         return div({ class: "loading-message" }, "Loading files...");
       }
 
-      if (mediaFiles.val.length > 0) {
+      if (mediaFiles.val.length > 0) {
+        const playlist = getActivePlaylist();
+        const visibleFiles = playlist
+          ? getLibraryFiles(getPlaylistFiles(playlist), { sorted: false })
+          : getLibraryFiles(mediaFiles.val);
+        const isSearching = librarySearch.val.trim() !== "";
+
+        let fileList;
+        if (visibleFiles.length === 0) {
+          fileList = div(
+            { class: "empty-message" },
+            playlist && playlist.fileIds.length === 0
+              ? "This playlist is empty. Use ♫ on a file in All Files to add it."
+              : "No files match your search or filters",
+          );
+        } else if (libraryView.val.layout === "grid") {
+          fileList = ul(
+            { class: "file-grid" },
+            ...visibleFiles.map((file) => FileTile(file, { isCurrent: activeFileId === file.id })),
+          );
+        } else if (playlist) {
+          fileList = ul(
+            {},
+            ...visibleFiles.map((file) => FileItem(file, {
+              isCurrent: activeFileId === file.id,
+              playlist,
+              index: playlist.fileIds.indexOf(file.id),
+              count: playlist.fileIds.length,
+            })),
+          );
+        } else {
+          fileList = ul({}, ...FolderContents(buildFolderTree(visibleFiles), activeFileId, isSearching));
+        }
+
         return div(
           { class: "sidebar-body" },
-          ul(
-            {},
-            ...mediaFiles.val.map((file) => {
-              const displayName = file.name || "Unnamed File";
-
-              return li(
-                {
-                  class: `file-item${activeFileId === file.id ? " is-current" : ""}`,
-                  "data-id": file.id,
-                },
-                div(
-                  {
-                    class: "file-entry",
-                    role: "button",
-                    tabindex: 0,
-                    onclick: () => {
-                      console.log("Clicked on file:", file);
-                      playFile(file, { markInteracted: true });
-                    },
-                    onkeydown: (e) => {
-                      if (e.key === "Enter" || e.key === " ") {
-                        e.preventDefault();
-                        playFile(file, { markInteracted: true });
-                      }
-                    },
-                  },
-                  div(
-                    { class: "file-title-row" },
-                    span({ class: "file-name" }, displayName),
-                    file.isNew ? span({ class: "new-badge" }, "New") : null,
-                  ),
-                  div(
-                    { class: "title-progress-track", "aria-hidden": "true" },
-                    span(
-                      {
-                        class: "title-progress-fill",
-                        style: `width: ${getFileProgressPercent(file).toFixed(2)}%`,
-                      },
-                    ),
-                  ),
-                ),
-                button(
-                  {
-                    class: "delete-btn outline",
-                    onclick: (e) => {
-                      e.stopPropagation();
-                      console.log(`Deleting file: ${file.id}`);
-                      deleteFile(file.id);
-                    },
-                  },
-                  "×",
-                ),
-              );
-            }),
-          ),
+          UpNext(),
+          fileList,
           button(
             {
               class: "delete-all-btn outline",
@@ -869,7 +4437,49 @@ function Sidebar() {
           },
           van.derive(() => isUpdating.val ? "Checking..." : "Check for Updates"),
         ),
+        button({ class: "shortcuts-btn", title: "Keyboard shortcuts (?)", onclick: openShortcutsDialog }, "Shortcuts"),
+        button(
+          {
+            class: "backup-btn",
+            title: "Save every file and setting to one ZIP archive",
+            disabled: () => !!backupStatus.val,
+            onclick: exportLibrary,
+          },
+          "Export Library",
+        ),
+        label({ class: "backup-btn", for: "library-import", title: "Restore a library backup" }, "Import Library"),
+        button({ class: "backup-btn", title: "Save listening progress to move to another device", onclick: exportProgress }, "Export Progress"),
+        label({ class: "backup-btn", for: "progress-import", title: "Merge listening progress from another device" }, "Import Progress"),
+        input({
+          type: "file",
+          id: "progress-import",
+          accept: ".json,application/json",
+          style: "display: none",
+          onchange: (e) => {
+            const [file] = e.target.files || [];
+            if (file) {
+              chooseProgressImport(file);
+            }
+            e.target.value = "";
+          },
+        }),
+        input({
+          type: "file",
+          id: "library-import",
+          accept: ".zip,application/zip",
+          style: "display: none",
+          onchange: (e) => {
+            const [file] = e.target.files || [];
+            if (file) {
+              chooseLibraryImport(file);
+            }
+            e.target.value = "";
+          },
+        }),
       ),
+      () => (backupStatus.val
+        ? div({ class: "backup-status", role: "status" }, backupStatus.val)
+        : div({ class: "backup-status", hidden: true })),
       a(
         {
           href: `https://github.com/netanel-haber/localfiles.stream/commit/${__COMMIT_SHA__}`,
@@ -883,6 +4493,49 @@ function Sidebar() {
   );
 }
 
+function UpNext() {
+  const queuedFiles = getQueuedFiles();
+  if (queuedFiles.length === 0) {
+    return null;
+  }
+
+  return div(
+    { class: "up-next" },
+    div(
+      { class: "up-next-header" },
+      span({ class: "up-next-title" }, `Up Next (${queuedFiles.length})`),
+      button({ class: "up-next-clear outline", onclick: () => savePlayQueue([]) }, "Clear"),
+    ),
+    van.tags.ol(
+      { class: "up-next-list" },
+      ...queuedFiles.map((file, index) => li(
+        { class: "up-next-item", "data-id": file.id },
+        span({ class: "up-next-name" }, getDisplayName(file)),
+        div(
+          { class: "up-next-controls" },
+          button({
+            class: "outline",
+            title: "Move up",
+            disabled: index === 0,
+            onclick: () => moveQueuedFile(file.id, -1),
+          }, "↑"),
+          button({
+            class: "outline",
+            title: "Move down",
+            disabled: index === queuedFiles.length - 1,
+            onclick: () => moveQueuedFile(file.id, 1),
+          }, "↓"),
+          button({
+            class: "outline",
+            title: "Remove from Up Next",
+            onclick: () => dequeueFile(file.id),
+          }, "×"),
+        ),
+      )),
+    ),
+  );
+}
+
 function Header() {
   return header(
     {},
@@ -909,11 +4562,46 @@ function Header() {
       ),
     ),
     div(
-      label({ class: "upload-btn", for: "file-upload" }, "Upload Files"),
+      () => (linkFiles.val
+        ? button({ class: "upload-btn", onclick: linkFilesFromPicker }, "Link Files")
+        : label({ class: "upload-btn", for: "file-upload" }, "Upload Files")),
+      "showDirectoryPicker" in window
+        ? button({ class: "upload-btn", onclick: importFolder }, () => (linkFiles.val ? "Link Folder" : "Upload Folder"))
+        : label({ class: "upload-btn", for: "folder-upload" }, "Upload Folder"),
+      supportsFileLinking
+        ? label(
+          { class: "link-files-toggle", title: "Play files from where they are instead of copying them into browser storage" },
+          input({ type: "checkbox", checked: linkFiles, onchange: (e) => setLinkFiles(e.target.checked) }),
+          "Link, don't copy",
+        )
+        : null,
+      () => (copyStatus.val
+        ? div({ class: "copy-status", role: "status" }, copyStatus.val)
+        : div({ class: "copy-status", hidden: true })),
+      input({
+        type: "file",
+        id: "folder-upload",
+        webkitdirectory: true,
+        style: "display: none",
+        onchange: async (e) => {
+          try {
+            if (e.target.files && e.target.files.length > 0) {
+              await addFiles(e.target.files);
+              console.log(`Selected folder with ${e.target.files.length} files`);
+            } else {
+              console.log("No folder selected");
+            }
+            e.target.value = ""; // Reset input to allow selecting the same folder again
+          } catch (error) {
+            handleError(error);
+            alert("Failed to process selected folder. Please try again.");
+          }
+        },
+      }),
       input({
         type: "file",
         id: "file-upload",
-        accept: "audio/*,video/*",
+        accept: "audio/*,video/*,.srt,.vtt",
         multiple: true,
         style: "display: none",
         onchange: async (e) => {
@@ -936,6 +4624,91 @@ function Header() {
 }
 
 function MediaPlayer() {
+  // Using a video element that can also play audio
+  const player = van.tags.video({
+    id: "media-player",
+    // Audio plays in this element too; show its cover art instead of a black box
+    poster: () => {
+      const currentFile = getCurrentFile();
+      return currentFile?.type.startsWith("audio/") ? getArtworkUrl(currentFile) : "";
+    },
+    controls: true,
+    preload: "auto",
+    controlsList: "nodownload",
+    playsinline: true,
+    onloadedmetadata: (e) => {
+      const fileId = e.target.getAttribute("data-current-file-id");
+      if (fileId) {
+        updateDuration(fileId, e.target.duration);
+      }
+    },
+    ondurationchange: (e) => {
+      const fileId = e.target.getAttribute("data-current-file-id");
+      if (fileId) {
+        updateDuration(fileId, e.target.duration);
+      }
+    },
+    ontimeupdate: (e) => {
+      const fileId = e.target.getAttribute("data-current-file-id");
+      if (fileId) {
+        updateProgress(fileId, e.target.currentTime);
+        enforceLoop(e.target, fileId);
+      }
+      updateMediaPositionState(e.target);
+    },
+    onplay: (e) => {
+      console.log("Media started playing. File ID:", e.target.getAttribute("data-current-file-id"));
+      resumeAudioGraph();
+      if ("mediaSession" in navigator) {
+        navigator.mediaSession.playbackState = "playing";
+      }
+    },
+    onpause: () => {
+      if ("mediaSession" in navigator) {
+        navigator.mediaSession.playbackState = "paused";
+      }
+    },
+    onratechange: (e) => {
+      const fileId = e.target.getAttribute("data-current-file-id");
+      // Skip-silence speed-ups are temporary, not a speed choice
+      if (fileId && !silenceSkip) {
+        rememberPlaybackRate(fileId, e.target.playbackRate);
+      }
+      updateMediaPositionState(e.target);
+    },
+    onended: (e) => {
+      console.log("Media ended. Saving final progress.");
+      const fileId = e.target.getAttribute("data-current-file-id");
+      if (fileId && e.target.duration && Number.isFinite(e.target.duration)) {
+        updateProgress(fileId, e.target.duration); // Save final position as full duration
+      }
+      e.target.removeAttribute("data-current-file-id"); // Clean up
+      if (!countSleepTimerFile()) {
+        playNextFile();
+      }
+    },
+    onerror: (e) => {
+      console.error("Media player error:", e.target.error);
+      // An older service worker without the media route can still be in control; retry from a blob: URL
+      const failedFile = mediaFiles.val.find((item) => item.id === e.target.getAttribute("data-current-file-id"));
+      if (failedFile?.file && e.target.src && isMediaRouteURL(e.target.src)) {
+        console.warn(`Media route failed for ${failedFile.id}, falling back to a blob URL`);
+        const time = e.target.currentTime || (isFileFinished(failedFile) ? 0 : failedFile.progress);
+        e.target.src = createAndTrackObjectURL(failedFile);
+        e.target.currentTime = time;
+        e.target.play().catch(console.error);
+        return;
+      }
+      alert(`Error playing media: ${e.target.error ? e.target.error.message : "Unknown error"}`);
+      const fileId = e.target.getAttribute("data-current-file-id");
+      if (fileId && currentFileId.val === fileId) {
+        currentFileId.val = null;
+      }
+      e.target.removeAttribute("data-current-file-id"); // Clean up
+    },
+  });
+  player.textTracks?.addEventListener("change", () => syncSubtitleFromTextTracks(player));
+
   return div(
     { class: "media-container" },
     div(
@@ -943,27 +4716,30 @@ function MediaPlayer() {
       van.derive(() => {
         const currentFile = getCurrentFile();
         if (!currentFile) {
-          return null;
+          // Keep a node in place: a null result would detach this binding for good
+          return div({ class: "current-media-header", hidden: true });
         }
 
         return div(
           { class: "current-media-header" },
           div(
             { class: "current-media-title-row" },
-            span({ class: "current-media-title" }, currentFile.name || "Unnamed File"),
+            span({ class: "current-media-title" }, getDisplayName(currentFile)),
             currentFile.isNew ? span({ class: "new-badge current-media-badge" }, "New") : null,
           ),
-          div(
-            { class: "title-progress-track current-title-progress", "aria-hidden": "true" },
-            span(
-              {
-                class: "title-progress-fill",
-                style: `width: ${getFileProgressPercent(currentFile).toFixed(2)}%`,
-              },
-            ),
-          ),
+          getDisplaySubtitle(currentFile)
+            ? span({ class: "current-media-subtitle" }, getDisplaySubtitle(currentFile))
+            : null,
+          ProgressTrack(currentFile, "current-title-progress"),
         );
       }),
+      // Bound separately so the buttons don't re-render on every progress update
+      () => {
+        const items = currentFileId.val ? getFileBookmarks(currentFileId.val) : [];
+        return items.length > 0
+          ? BookmarkChips(items, { editable: true })
+          : div({ class: "bookmark-list", hidden: true });
+      },
       div(
         {
           class: "upload-prompt",
@@ -989,56 +4765,621 @@ function MediaPlayer() {
         },
         div(
           { class: "media-element-container" },
-          // Using a video element that can also play audio
-          van.tags.video({
-            id: "media-player",
-            controls: true,
-            preload: "auto",
-            controlsList: "nodownload",
-            playsinline: true,
-            onloadedmetadata: (e) => {
-              const fileId = e.target.getAttribute("data-current-file-id");
-              if (fileId) {
-                updateDuration(fileId, e.target.duration);
-              }
-            },
-            ondurationchange: (e) => {
-              const fileId = e.target.getAttribute("data-current-file-id");
-              if (fileId) {
-                updateDuration(fileId, e.target.duration);
-              }
+          player,
+        ),
+        PlayerToolbar(),
+      ),
+    ),
+    ConsoleLogViewer(),
+  );
+}
+
+// Controls for the current file, shown under the player
+function PlayerToolbar() {
+  return div(
+    { class: "player-toolbar" },
+    div(
+      { class: "player-control" },
+      button(
+        {
+          class: "player-control-btn",
+          title: "Bookmark the current position",
+          disabled: () => !currentFileId.val,
+          onclick: addBookmark,
+        },
+        "Bookmark",
+      ),
+    ),
+    SpeedControls(),
+    LoopControls(),
+    SleepTimerControls(),
+    AudioControls(),
+    SubtitleControls(),
+    () => (equalizerOpen.val ? EqualizerPanel() : div({ class: "equalizer-panel", hidden: true })),
+  );
+}
+
+function EqualizerPanel() {
+  return div(
+    { class: "equalizer-panel" },
+    () => {
+      const fileId = currentFileId.val;
+      const fileEqualizer = currentFileEqualizer.val;
+      const settings = equalizerSettings.val;
+      const active = fileEqualizer ?? settings;
+      const isCustom = active.preset?.startsWith("custom:");
+      const formatFrequency = (frequency) => (frequency >= 1000 ? `${frequency / 1000}k` : String(frequency));
+
+      return div(
+        {},
+        div(
+          { class: "player-control-row" },
+          label(
+            { class: "player-control-toggle", title: fileEqualizer ? "This file uses its own EQ" : "" },
+            input({
+              type: "checkbox",
+              checked: fileEqualizer ? true : settings.enabled,
+              disabled: !!fileEqualizer,
+              onchange: (e) => setEqualizerSettings({ enabled: e.target.checked }),
+            }),
+            "Equalizer",
+          ),
+          select(
+            {
+              "aria-label": "Equalizer preset",
+              onchange: (e) => selectEqualizerPreset(e.target.value),
             },
-            ontimeupdate: (e) => {
-              const fileId = e.target.getAttribute("data-current-file-id");
-              if (fileId) {
-                updateProgress(fileId, e.target.currentTime);
+            active.preset ? null : option({ value: "", selected: true, disabled: true }, "Manual"),
+            ...Object.entries(EQUALIZER_BUILT_IN_PRESETS).map(([presetId, preset]) => option(
+              { value: presetId, selected: active.preset === presetId },
+              preset.name,
+            )),
+            ...equalizerPresets.val.map((preset) => option(
+              { value: `custom:${preset.name}`, selected: active.preset === `custom:${preset.name}` },
+              preset.name,
+            )),
+          ),
+          button({ class: "player-control-btn", onclick: () => saveEqualizerPreset(active.gains) }, "Save…"),
+          isCustom
+            ? button({ class: "player-control-btn", onclick: () => deleteEqualizerPreset(active.preset) }, "Delete")
+            : null,
+          label(
+            { class: "player-control-toggle", title: "Keep these settings for the current file only" },
+            input({
+              type: "checkbox",
+              checked: !!fileEqualizer,
+              disabled: !fileId,
+              onchange: (e) => setFileEqualizer(
+                fileId,
+                e.target.checked ? { preset: settings.preset, gains: [...settings.gains] } : null,
+              ),
+            }),
+            "This file only",
+          ),
+        ),
+        div(
+          { class: "equalizer-bands" },
+          ...EQUALIZER_FREQUENCIES.map((frequency, index) => label(
+            { class: "equalizer-band" },
+            input({
+              type: "range",
+              min: -EQUALIZER_MAX_GAIN,
+              max: EQUALIZER_MAX_GAIN,
+              step: 0.5,
+              value: active.gains[index],
+              "aria-label": `${formatFrequency(frequency)} Hz`,
+              oninput: (e) => previewEqualizerBand(index, Number(e.target.value)),
+              onchange: (e) => setEqualizerBand(index, Number(e.target.value)),
+            }),
+            span({}, formatFrequency(frequency)),
+          )),
+        ),
+      );
+    },
+  );
+}
+
+function AudioControls() {
+  const toggle = (key, text, title) => label(
+    { class: "player-control-toggle", title },
+    input({
+      type: "checkbox",
+      checked: () => audioSettings.val[key],
+      onchange: (e) => setAudioSettings({ [key]: e.target.checked }),
+    }),
+    text,
+  );
+
+  return div(
+    { class: "player-control audio-controls" },
+    div(
+      { class: "player-control-row" },
+      span({ class: "player-control-label" }, "Audio"),
+      toggle("skipSilence", "Skip silence", "Speed through quiet stretches"),
+      toggle("voiceBoost", "Voice boost", "Compress dynamics so quiet speech is easier to hear"),
+      toggle("mono", "Mono", "Mix both channels together"),
+      label(
+        { class: "player-control-toggle", title: "Even out loudness between files" },
+        input({
+          type: "checkbox",
+          checked: () => normalizationSettings.val.enabled,
+          onchange: (e) => setNormalizationSettings({ enabled: e.target.checked }),
+        }),
+        "Normalize",
+      ),
+      () => select(
+        {
+          "aria-label": "Target loudness",
+          disabled: !normalizationSettings.val.enabled,
+          onchange: (e) => setNormalizationSettings({ target: Number(e.target.value) }),
+        },
+        ...NORMALIZATION_TARGETS.map((target) => option(
+          { value: String(target), selected: normalizationSettings.val.target === target },
+          `${target} LUFS`,
+        )),
+      ),
+      button(
+        {
+          class: () => `player-control-btn${equalizerOpen.val ? " is-active" : ""}`,
+          "aria-expanded": () => String(equalizerOpen.val),
+          onclick: () => { equalizerOpen.val = !equalizerOpen.val; },
+        },
+        "EQ",
+      ),
+      () => span(
+        { class: "audio-time-saved", hidden: silenceSavedSeconds.val < 1 },
+        `Saved ${formatTimestamp(silenceSavedSeconds.val)}`,
+      ),
+    ),
+  );
+}
+
+function SleepTimerControls() {
+  return div(
+    { class: "player-control sleep-timer-controls" },
+    () => {
+      const timer = sleepTimer.val;
+
+      return div(
+        { class: "player-control-row" },
+        label({ class: "player-control-label", for: "sleep-timer-select" }, "Sleep"),
+        select(
+          {
+            id: "sleep-timer-select",
+            onchange: (e) => {
+              if (e.target.value) {
+                startSleepTimer(e.target.value);
+              } else {
+                stopSleepTimer({ pause: false });
               }
             },
-            onplay: (e) => {
-              console.log("Media started playing. File ID:", e.target.getAttribute("data-current-file-id"));
+          },
+          option({ value: "", selected: !timer }, "Off"),
+          ...SLEEP_TIMER_MINUTES.map((minutes) => option({ value: String(minutes) }, `${minutes} min`)),
+          ...SLEEP_TIMER_FILE_COUNTS.map((count) => option(
+            { value: `files-${count}` },
+            count === 1 ? "End of this file" : `End of ${count} files`,
+          )),
+          timer ? option({ value: "active", selected: true, disabled: true }, "Running") : null,
+        ),
+        timer
+          ? button(
+            {
+              class: "player-control-btn sleep-timer-remaining",
+              title: timer.endsAt ? `Add ${SLEEP_EXTEND_MINUTES} minutes (or shake)` : "Play one more file (or shake)",
+              onclick: extendSleepTimer,
             },
-            onended: (e) => {
-              console.log("Media ended. Saving final progress.");
-              const fileId = e.target.getAttribute("data-current-file-id");
-              if (fileId && e.target.duration && Number.isFinite(e.target.duration)) {
-                updateProgress(fileId, e.target.duration); // Save final position as full duration
+            () => {
+              const remaining = getSleepTimerRemaining();
+              if (remaining !== null) {
+                return `⏾ ${formatTimestamp(remaining)}`;
               }
-              e.target.removeAttribute("data-current-file-id"); // Clean up
+              const filesLeft = sleepTimer.val?.filesLeft ?? 0;
+              return `⏾ ${filesLeft} ${filesLeft === 1 ? "file" : "files"}`;
             },
-            onerror: (e) => {
-              console.error("Media player error:", e.target.error);
-              alert(`Error playing media: ${e.target.error ? e.target.error.message : "Unknown error"}`);
-              const fileId = e.target.getAttribute("data-current-file-id");
-              if (fileId && currentFileId.val === fileId) {
-                currentFileId.val = null;
-              }
-              e.target.removeAttribute("data-current-file-id"); // Clean up
+          )
+          : null,
+      );
+    },
+  );
+}
+
+function LoopControls() {
+  return div(
+    { class: "player-control loop-controls" },
+    () => {
+      const fileId = currentFileId.val;
+      const loop = currentFileLoop.val;
+      const hasEnd = loop && loop.end !== null;
+
+      return div(
+        { class: "player-control-row" },
+        span({ class: "player-control-label" }, "Loop"),
+        button(
+          { class: "player-control-btn", disabled: !fileId, title: "Set loop start", onclick: () => setLoopPoint("start") },
+          loop ? `A ${formatTimestamp(loop.start)}` : "A",
+        ),
+        button(
+          { class: "player-control-btn", disabled: !fileId, title: "Set loop end", onclick: () => setLoopPoint("end") },
+          hasEnd ? `B ${formatTimestamp(loop.end)}` : "B",
+        ),
+        hasEnd
+          ? [
+            label(
+              { class: "player-control-toggle" },
+              input({
+                type: "checkbox",
+                checked: loop.enabled,
+                onchange: (e) => updateLoop(fileId, { enabled: e.target.checked }),
+              }),
+              "On",
+            ),
+            label(
+              { class: "player-control-toggle", title: "Times to play the section, empty for endless" },
+              "×",
+              input({
+                type: "number",
+                min: 1,
+                step: 1,
+                placeholder: "∞",
+                value: loop.repeats ?? "",
+                onchange: (e) => {
+                  const repeats = parseInt(e.target.value, 10);
+                  updateLoop(fileId, { repeats: repeats > 0 ? repeats : null });
+                },
+              }),
+            ),
+            label(
+              { class: "player-control-toggle", title: "Seconds to pause between repeats" },
+              "Gap",
+              input({
+                type: "number",
+                min: 0,
+                step: 0.5,
+                value: loop.gap,
+                onchange: (e) => {
+                  const gap = parseFloat(e.target.value);
+                  updateLoop(fileId, { gap: gap > 0 ? gap : 0 });
+                },
+              }),
+            ),
+          ]
+          : null,
+        loop
+          ? button({ class: "player-control-btn", onclick: () => updateLoop(fileId, null) }, "Clear")
+          : null,
+      );
+    },
+  );
+}
+
+function SpeedControls() {
+  const stepRate = (direction) => setPlaybackRate(currentPlaybackRate.val + direction * PLAYBACK_RATE_STEP);
+
+  return div(
+    { class: "player-control speed-controls" },
+    () => {
+      const fileId = currentFileId.val;
+      const fileRate = currentFilePlaybackRate.val;
+      const defaults = playbackDefaults.val;
+      const formatRate = (rate) => `${Number(rate.toFixed(2))}×`;
+
+      return div(
+        { class: "player-control-row" },
+        label({ class: "player-control-label", for: "playback-rate" }, "Speed"),
+        button({ class: "player-control-btn", disabled: !fileId, "aria-label": "Slower", onclick: () => stepRate(-1) }, "−"),
+        input({
+          type: "number",
+          id: "playback-rate",
+          min: MIN_PLAYBACK_RATE,
+          max: MAX_PLAYBACK_RATE,
+          step: PLAYBACK_RATE_STEP,
+          disabled: !fileId,
+          value: () => currentPlaybackRate.val.toFixed(2),
+          onchange: (e) => setPlaybackRate(parseFloat(e.target.value)),
+        }),
+        button({ class: "player-control-btn", disabled: !fileId, "aria-label": "Faster", onclick: () => stepRate(1) }, "+"),
+        fileRate !== null
+          ? button(
+            { class: "player-control-btn", title: "Use the default speed for this file", onclick: () => resetFilePlaybackRate(fileId) },
+            "Reset",
+          )
+          : null,
+        select(
+          {
+            id: "playback-rate-default",
+            "aria-label": "Save speed as default",
+            disabled: !fileId,
+            onchange: (e) => {
+              const rate = currentPlaybackRate.val;
+              setPlaybackDefaults(e.target.value === "rate"
+                ? { rate, audioRate: null, videoRate: null }
+                : { [e.target.value]: rate });
+              resetFilePlaybackRate(fileId);
+              e.target.value = "";
             },
+          },
+          option({ value: "", selected: true }, "Save as default…"),
+          option({ value: "audioRate" }, `For audio (now ${formatRate(defaults.audioRate ?? defaults.rate)})`),
+          option({ value: "videoRate" }, `For video (now ${formatRate(defaults.videoRate ?? defaults.rate)})`),
+          option({ value: "rate" }, "For all files"),
+        ),
+        label(
+          { class: "player-control-toggle" },
+          input({
+            type: "checkbox",
+            checked: defaults.preservesPitch,
+            onchange: (e) => setPlaybackDefaults({ preservesPitch: e.target.checked }),
           }),
+          "Keep pitch",
+        ),
+      );
+    },
+  );
+}
+
+function SubtitleControls() {
+  return div(
+    { class: "player-control subtitle-controls" },
+    () => {
+      const fileId = currentFileId.val;
+      const subtitleId = currentSubtitleId.val;
+      const subtitles = currentSubtitles.val;
+
+      return div(
+        { class: "player-control-row" },
+        label({ class: "player-control-label", for: "subtitle-select" }, "CC"),
+        select(
+          {
+            id: "subtitle-select",
+            disabled: !fileId || subtitles.length === 0,
+            onchange: (e) => selectSubtitle(fileId, e.target.value || null),
+          },
+          option({ value: "", selected: !subtitleId }, subtitles.length > 0 ? "Off" : "No subtitles"),
+          ...subtitles.map((subtitle) => option(
+            { value: subtitle.id, selected: subtitle.id === subtitleId },
+            subtitle.label,
+          )),
+        ),
+        // Subtitles belong to a file, so there is nothing to attach them to until one plays
+        label({ class: "player-control-btn", for: "subtitle-upload", "aria-disabled": String(!fileId) }, "Add…"),
+        subtitleId
+          ? button({ class: "player-control-btn", onclick: () => deleteSubtitle(fileId, subtitleId) }, "Remove")
+          : null,
+      );
+    },
+    input({
+      type: "file",
+      id: "subtitle-upload",
+      accept: ".srt,.vtt,text/vtt",
+      multiple: true,
+      style: "display: none",
+      disabled: () => !currentFileId.val,
+      onchange: async (e) => {
+        const fileId = currentFileId.val;
+        if (!fileId) {
+          e.target.value = "";
+          return;
+        }
+        try {
+          for (const subtitleFile of e.target.files || []) {
+            const subtitle = await attachSubtitle(fileId, subtitleFile);
+            selectSubtitle(fileId, subtitle.id);
+          }
+        } catch (error) {
+          handleError(error);
+          alert("Could not load the selected subtitle file.");
+        }
+        e.target.value = "";
+      },
+    }),
+  );
+}
+
+function PlaylistDialog() {
+  return dialog(
+    { id: "playlist-dialog", onclose: () => { playlistDialogFileId.val = null; } },
+    van.derive(() => {
+      const fileId = playlistDialogFileId.val;
+      const file = mediaFiles.val.find((item) => item.id === fileId);
+
+      return div(
+        { class: "dialog-content" },
+        h2({}, "Add to Playlist"),
+        file ? p({ class: "playlist-dialog-file" }, getDisplayName(file)) : null,
+        playlists.val.length === 0
+          ? p({}, "No playlists yet.")
+          : div(
+            { class: "playlist-dialog-list" },
+            ...playlists.val.map((playlist) => label(
+              {},
+              input({
+                type: "checkbox",
+                checked: playlist.fileIds.includes(fileId),
+                onchange: () => toggleFileInPlaylist(playlist.id, fileId),
+              }),
+              playlist.name,
+            )),
+          ),
+        div(
+          { class: "dialog-buttons" },
+          button({
+            class: "secondary",
+            onclick: () => {
+              const name = promptForPlaylistName();
+              if (name && fileId) {
+                createPlaylist(name, [fileId]);
+              }
+            },
+          }, "New Playlist"),
+          button({ onclick: () => document.getElementById("playlist-dialog").close() }, "Done"),
         ),
+      );
+    }),
+  );
+}
+
+function ShortcutsDialog() {
+  const shortcutsDialog = dialog(
+    { id: "shortcuts-dialog", onclose: () => { remappingShortcut.val = null; } },
+    div(
+      { class: "dialog-content" },
+      h2({}, "Keyboard Shortcuts"),
+      () => div(
+        { class: "shortcut-list" },
+        ...Object.entries(SHORTCUT_ACTIONS).map(([actionId, action]) => {
+          const isRemapping = remappingShortcut.val === actionId;
+          const keys = getShortcutKeys(actionId);
+
+          return div(
+            { class: "shortcut-row" },
+            span({ class: "shortcut-label" }, action.label),
+            span(
+              { class: "shortcut-keys" },
+              isRemapping
+                ? span({ class: "shortcut-waiting" }, "Press a key…")
+                : keys.length > 0
+                  ? keys.map((key) => span({ class: "shortcut-key" }, formatShortcutKey(key)))
+                  : span({ class: "shortcut-waiting" }, "Unassigned"),
+            ),
+            button(
+              {
+                class: "player-control-btn",
+                onclick: () => { remappingShortcut.val = isRemapping ? null : actionId; },
+              },
+              isRemapping ? "Cancel" : "Change",
+            ),
+          );
+        }),
+      ),
+      div(
+        { class: "dialog-buttons" },
+        button({ class: "secondary", onclick: resetShortcuts }, "Reset to Defaults"),
+        button({ onclick: () => document.getElementById("shortcuts-dialog").close() }, "Done"),
       ),
     ),
-    ConsoleLogViewer(),
+  );
+
+  // While remapping, the next key press becomes the shortcut and Escape cancels. Capture runs
+  // before the focused button activates, so the Enter that starts remapping isn't taken as the key.
+  shortcutsDialog.addEventListener("keydown", (e) => {
+    const actionId = remappingShortcut.val;
+    if (!actionId || ["Shift", "Control", "Alt", "Meta", "Tab"].includes(e.key)) {
+      return;
+    }
+    e.preventDefault();
+    e.stopPropagation();
+    if (e.key !== "Escape") {
+      remapShortcut(actionId, e.key);
+    }
+    remappingShortcut.val = null;
+  }, true);
+
+  return shortcutsDialog;
+}
+
+function DuplicateDialog() {
+  const applyToAll = van.state(false);
+  const choose = (action) => {
+    const pending = pendingDuplicate.val;
+    pendingDuplicate.val = null;
+    document.getElementById("duplicate-dialog").close();
+    pending?.resolve({ action, applyToAll: applyToAll.val });
+    applyToAll.val = false;
+  };
+
+  return dialog(
+    // Escape counts as skip
+    { id: "duplicate-dialog", onclose: () => pendingDuplicate.val && choose("skip") },
+    () => {
+      const pending = pendingDuplicate.val;
+      if (!pending) {
+        return div({ class: "dialog-content" });
+      }
+
+      return div(
+        { class: "dialog-content" },
+        h2({}, "Duplicate File"),
+        p({}, `${pending.name} has the same content as ${getDisplayName(pending.existing)}, which is already in your library.`),
+        p({}, "Replace keeps the existing entry's progress and bookmarks."),
+        label(
+          { class: "duplicate-apply-all" },
+          input({ type: "checkbox", checked: applyToAll, onchange: (e) => { applyToAll.val = e.target.checked; } }),
+          "Do this for every duplicate in this import",
+        ),
+        div(
+          { class: "dialog-buttons" },
+          button({ class: "secondary", onclick: () => choose("skip") }, "Skip"),
+          button({ class: "secondary", onclick: () => choose("keep") }, "Keep Both"),
+          button({ onclick: () => choose("replace") }, "Replace"),
+        ),
+      );
+    },
+  );
+}
+
+function ImportDialog() {
+  const close = () => document.getElementById("import-dialog").close();
+  const run = (mode) => {
+    const file = pendingImportFile.val;
+    close();
+    if (file) {
+      importLibrary(file, mode);
+    }
+  };
+
+  return dialog(
+    { id: "import-dialog", onclose: () => { pendingImportFile.val = null; } },
+    div(
+      { class: "dialog-content" },
+      h2({}, "Import Library"),
+      p({}, () => pendingImportFile.val?.name ?? ""),
+      p({}, "Merge adds the backup to your library, overwriting files it already has. Replace swaps your current library and settings for the backup's once it has been read in full."),
+      div(
+        { class: "dialog-buttons" },
+        button({ class: "secondary", onclick: close }, "Cancel"),
+        button({ class: "secondary", onclick: () => run("replace") }, "Replace"),
+        button({ onclick: () => run("merge") }, "Merge"),
+      ),
+    ),
+  );
+}
+
+function ProgressImportDialog() {
+  const close = () => document.getElementById("progress-import-dialog").close();
+
+  return dialog(
+    { id: "progress-import-dialog", onclose: () => { pendingProgressImport.val = null; } },
+    () => {
+      const plan = pendingProgressImport.val;
+      if (!plan) {
+        return div({ class: "dialog-content" });
+      }
+
+      return div(
+        { class: "dialog-content" },
+        h2({}, "Import Progress"),
+        p({}, plan.changes.length > 0
+          ? `${plan.changes.length} file(s) will take the newer progress from ${plan.name}:`
+          : `Nothing in ${plan.name} is newer than this library.`),
+        plan.changes.length > 0
+          ? ul(
+            { class: "progress-import-changes" },
+            plan.changes.map(({ file, entry }) => li(
+              {},
+              span({ class: "progress-import-name" }, getDisplayName(file)),
+              span({ class: "progress-import-values" }, `${describeProgress(file)} → ${describeProgress(entry)}`),
+            )),
+          )
+          : div({ hidden: true }),
+        p({ class: "progress-import-summary" }, `${plan.unchanged} already up to date, ${plan.unmatched} not in this library.`),
+        div(
+          { class: "dialog-buttons" },
+          button({ class: "secondary", onclick: close }, "Cancel"),
+          button({ disabled: plan.changes.length === 0, onclick: applyProgressImport }, "Apply"),
+        ),
+      );
+    },
   );
 }
 
@@ -1135,6 +5476,11 @@ function App() {
     Header(),
     div({ class: "content" }, Sidebar(), main({}, MediaPlayer())),
     ConfirmDialog(),
+    PlaylistDialog(),
+    ShortcutsDialog(),
+    ImportDialog(),
+    DuplicateDialog(),
+    ProgressImportDialog(),
   );
 }
 
@@ -1156,9 +5502,12 @@ function App() {
 
     console.log("Loading data...");
     await loadData();
+    setupMediaSession();
+    document.addEventListener("keydown", handleShortcutKeydown);
 
     // Check for shared files (from Web Share Target API)
     const urlParams = new URLSearchParams(window.location.search);
+    const linkedFileId = urlParams.get(PLAY_LINK_PARAM);
     if (urlParams.get('shared') === 'true') {
       console.log("App opened with shared files, processing...");
       await processSharedFiles();
@@ -1190,22 +5539,25 @@ function App() {
 
     console.log(`App initialized with ${mediaFiles.val.length} files`);
 
-    // Attempt to play the last played file
+    // Attempt to play the linked file, or else the last played one
     if (mediaFiles.val.length > 0) {
       try {
-        const lastPlayedFileId = localStorage.getItem("lastPlayedFileId");
-        if (lastPlayedFileId) {
-          console.log(`Found lastPlayedFileId: ${lastPlayedFileId}`);
-          const fileToPlay = mediaFiles.val.find((f) => f.id === lastPlayedFileId);
+        const fileIdToPlay = linkedFileId || localStorage.getItem("lastPlayedFileId");
+        if (fileIdToPlay) {
+          console.log(`Found file to resume: ${fileIdToPlay}`);
+          const fileToPlay = mediaFiles.val.find((f) => f.id === fileIdToPlay);
           if (fileToPlay) {
-            console.log("Attempting to autoplay last played file:", fileToPlay);
+            console.log("Attempting to autoplay file:", fileToPlay);
             playFile(fileToPlay, { markInteracted: true });
           } else {
-            console.log("Last played file ID found, but file not in current media list.");
+            console.log("File ID found, but file not in current media list.");
+            if (linkedFileId) {
+              setPlayLink(null);
+            }
           }
         }
       } catch (e) {
-        console.warn("Could not retrieve or play lastPlayedFileId:", e);
+        console.warn("Could not retrieve or play the file to resume:", e);
       }
     }
 
@@ -48,10 +48,16 @@ self.addEventListener('unhandledrejection', (event) => {
 precacheAndRoute(self.__WB_MANIFEST);
 cleanupOutdatedCaches();
 
+// Stored media is served from IndexedDB/OPFS at /media/<fileId>, see handleMediaRequest
+const MEDIA_ROUTE = '/media/';
+const OPFS_MEDIA_DIRECTORY = 'media'; // Keep in sync with the OPFS media store in main.js
+
 // Cache strategy for the app
 registerRoute(
     ({ request, url }) => {
-        return url.origin === self.location.origin && !url.pathname.startsWith('/share-target');
+        return url.origin === self.location.origin
+            && !url.pathname.startsWith('/share-target')
+            && !url.pathname.startsWith(MEDIA_ROUTE);
     },
     new CacheFirst({
         cacheName: 'localfiles-cache',
@@ -66,8 +72,112 @@ self.addEventListener('fetch', event => {
     if (url.pathname === '/share-target' && event.request.method === 'POST') {
         event.respondWith(handleShareTarget(event.request));
     }
+
+    // Handle stored media, including the Range requests media elements make while seeking
+    if (url.origin === self.location.origin && url.pathname.startsWith(MEDIA_ROUTE) && event.request.method === 'GET') {
+        const fileId = decodeURIComponent(url.pathname.slice(MEDIA_ROUTE.length));
+        event.respondWith(handleMediaRequest(event.request, fileId));
+    }
 });
 
+// Reads the stored content for a file: a blob in IndexedDB, a file in OPFS, or a linked
+// file handle (only readable while the page has been granted access). Memory sources
+// live in the page and can't be reached from here.
+async function readStoredMedia(fileId) {
+    const db = await openDB();
+    const { source, meta } = await new Promise((resolve, reject) => {
+        const transaction = db.transaction(['mediaFiles', 'metadata'], 'readonly');
+        const sourceRequest = transaction.objectStore('mediaFiles').get(fileId);
+        const metaRequest = transaction.objectStore('metadata').get(fileId);
+        transaction.oncomplete = () => resolve({ source: sourceRequest.result, meta: metaRequest.result });
+        transaction.onerror = () => reject(transaction.error);
+    });
+    db.close();
+
+    if (!source) {
+        return null;
+    }
+    let blob = null;
+    if (source.blob) {
+        blob = source.blob;
+    } else if (source.opfs) {
+        const root = await navigator.storage.getDirectory();
+        const directory = await root.getDirectoryHandle(OPFS_MEDIA_DIRECTORY);
+        blob = await (await directory.getFileHandle(source.opfs)).getFile();
+    } else if (source.handle) {
+        blob = await source.handle.getFile();
+    }
+    return blob && { blob, type: meta?.type || blob.type || 'application/octet-stream' };
+}
+
+// Parses a single "bytes=start-end" range. Returns null for a missing or multi-part header
+// (answered with the whole file) and false when the range can't be satisfied.
+function parseRange(header, size) {
+    const match = /^bytes=(\d*)-(\d*)$/.exec((header || '').trim());
+    if (!match || (match[1] === '' && match[2] === '')) {
+        return null;
+    }
+
+    let start;
+    let end;
+    if (match[1] === '') {
+        // Suffix range: the last N bytes
+        start = Math.max(0, size - Number(match[2]));
+        end = size - 1;
+    } else {
+        start = Number(match[1]);
+        end = match[2] === '' ? size - 1 : Math.min(Number(match[2]), size - 1);
+    }
+    if (start >= size || start > end) {
+        return false;
+    }
+    return { start, end };
+}
+
+async function handleMediaRequest(request, fileId) {
+    try {
+        const media = await readStoredMedia(fileId);
+        if (!media) {
+            return new Response('Media not found', { status: 404 });
+        }
+
+        const { blob, type } = media;
+        const range = parseRange(request.headers.get('Range'), blob.size);
+        if (range === false) {
+            return new Response(null, {
+                status: 416,
+                headers: { 'Content-Range': `bytes */${blob.size}` },
+            });
+        }
+        if (!range) {
+            return new Response(blob, {
+                status: 200,
+                headers: {
+                    'Content-Type': type,
+                    'Content-Length': String(blob.size),
+                    'Accept-Ranges': 'bytes',
+                },
+            });
+        }
+
+        // Slicing keeps only the requested bytes in memory, even for multi-GB files
+        const { start, end } = range;
+        return new Response(blob.slice(start, end + 1), {
+            status: 206,
+            headers: {
+                'Content-Type': type,
+                'Content-Length': String(end - start + 1),
+                'Content-Range': `bytes ${start}-${end}/${blob.size}`,
+                'Accept-Ranges': 'bytes',
+            },
+        });
+    } catch (error) {
+        await logToClients('error', '[SW] Error serving media:', fileId, error.message);
+        const status = error.name === 'NotFoundError' ? 404 : error.name === 'NotAllowedError' ? 403 : 500;
+        return new Response(error.message || 'Could not read media', { status });
+    }
+}
+
 async function handleShareTarget(request) {
     try {
         await logToClients('log', '[SW] Handling share target request');
@@ -102,9 +212,9 @@ async function handleShareTarget(request) {
     }
 }
 
-async function storeSharedFiles(files) {
+function openDB() {
     return new Promise((resolve, reject) => {
-        const request = indexedDB.open('localfilesDB', 2); // Increment version for new object store
+        const request = indexedDB.open('localfilesDB', 8); // Keep in sync with DB_MIGRATIONS in main.js
 
         request.onupgradeneeded = (event) => {
             const db = event.target.result;
@@ -114,46 +224,61 @@ async function storeSharedFiles(files) {
             if (!db.objectStoreNames.contains('sharedFiles')) {
                 db.createObjectStore('sharedFiles', { keyPath: 'id' });
             }
-        };
-
-        request.onsuccess = async (event) => {
-            const db = event.target.result;
-            const transaction = db.transaction(['sharedFiles'], 'readwrite');
-            const store = transaction.objectStore('sharedFiles');
-
-            try {
-                // Clear any existing shared files first
-                await new Promise((resolve, reject) => {
-                    const clearRequest = store.clear();
-                    clearRequest.onsuccess = () => resolve();
-                    clearRequest.onerror = () => reject(clearRequest.error);
-                });
-
-                // Store each shared file
-                for (let i = 0; i < files.length; i++) {
-                    const file = files[i];
-                    const fileData = {
-                        id: `shared-${Date.now()}-${i}`,
-                        name: file.name,
-                        type: file.type,
-                        size: file.size,
-                        file: file,
-                        dateShared: new Date().toISOString()
-                    };
-
-                    await new Promise((resolve, reject) => {
-                        const putRequest = store.put(fileData);
-                        putRequest.onsuccess = () => resolve();
-                        putRequest.onerror = () => reject(putRequest.error);
-                    });
-                }
-
-                resolve();
-            } catch (error) {
-                reject(error);
+            if (!db.objectStoreNames.contains('playlists')) {
+                db.createObjectStore('playlists', { keyPath: 'id' });
+            }
+            if (!db.objectStoreNames.contains('artwork')) {
+                db.createObjectStore('artwork', { keyPath: 'id' });
+            }
+            if (!db.objectStoreNames.contains('thumbnails')) {
+                db.createObjectStore('thumbnails', { keyPath: 'id' });
+            }
+            if (!db.objectStoreNames.contains('subtitles')) {
+                const subtitleStore = db.createObjectStore('subtitles', { keyPath: 'id' });
+                subtitleStore.createIndex('fileId', 'fileId');
+            }
+            if (!db.objectStoreNames.contains('bookmarks')) {
+                const bookmarkStore = db.createObjectStore('bookmarks', { keyPath: 'id' });
+                bookmarkStore.createIndex('fileId', 'fileId');
+            }
+            if (!db.objectStoreNames.contains('metadata')) {
+                db.createObjectStore('metadata', { keyPath: 'id' });
             }
         };
 
+        request.onsuccess = (event) => resolve(event.target.result);
         request.onerror = () => reject(request.error);
     });
-} 
\ No newline at end of file
+}
+
+async function storeSharedFiles(files) {
+    const db = await openDB();
+    const transaction = db.transaction(['sharedFiles'], 'readwrite');
+    const store = transaction.objectStore('sharedFiles');
+
+    // Clear any existing shared files first
+    await new Promise((resolve, reject) => {
+        const clearRequest = store.clear();
+        clearRequest.onsuccess = () => resolve();
+        clearRequest.onerror = () => reject(clearRequest.error);
+    });
+
+    // Store each shared file
+    for (let i = 0; i < files.length; i++) {
+        const file = files[i];
+        const fileData = {
+            id: `shared-${Date.now()}-${i}`,
+            name: file.name,
+            type: file.type,
+            size: file.size,
+            file: file,
+            dateShared: new Date().toISOString()
+        };
+
+        await new Promise((resolve, reject) => {
+            const putRequest = store.put(fileData);
+            putRequest.onsuccess = () => resolve();
+            putRequest.onerror = () => reject(putRequest.error);
+        });
+    }
+}
\ No newline at end of file
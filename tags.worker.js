@@ -0,0 +1,614 @@
+// Embedded tag parser, run as a module worker so imports never block the UI.
+// Reads ID3v2/ID3v1 (MP3), ilst atoms (M4A/MP4) and Vorbis comments (OGG/Opus/FLAC),
+// plus embedded cover art (APIC, covr, FLAC PICTURE) downscaled to a JPEG thumbnail
+// and ReplayGain track gain/peak when a file carries them.
+// Receives { id, file } and replies { id, tags, artwork } or { id, error }.
+
+const ARTWORK_MAX_SIZE = 512;
+// Without OffscreenCanvas the original image is kept, but only if it is reasonably small
+const MAX_UNSCALED_ARTWORK_BYTES = 512 * 1024;
+const FRONT_COVER = 3;
+const MP4_IMAGE_TYPES = { 13: "image/jpeg", 14: "image/png", 27: "image/bmp" };
+
+const ID3_GENRES = [
+  "Blues", "Classic Rock", "Country", "Dance", "Disco", "Funk", "Grunge", "Hip-Hop", "Jazz", "Metal",
+  "New Age", "Oldies", "Other", "Pop", "R&B", "Rap", "Reggae", "Rock", "Techno", "Industrial",
+  "Alternative", "Ska", "Death Metal", "Pranks", "Soundtrack", "Euro-Techno", "Ambient", "Trip-Hop", "Vocal", "Jazz+Funk",
+  "Fusion", "Trance", "Classical", "Instrumental", "Acid", "House", "Game", "Sound Clip", "Gospel", "Noise",
+  "Alternative Rock", "Bass", "Soul", "Punk", "Space", "Meditative", "Instrumental Pop", "Instrumental Rock", "Ethnic", "Gothic",
+  "Darkwave", "Techno-Industrial", "Electronic", "Pop-Folk", "Eurodance", "Dream", "Southern Rock", "Comedy", "Cult", "Gangsta",
+  "Top 40", "Christian Rap", "Pop/Funk", "Jungle", "Native American", "Cabaret", "New Wave", "Psychedelic", "Rave", "Showtunes",
+  "Trailer", "Lo-Fi", "Tribal", "Acid Punk", "Acid Jazz", "Polka", "Retro", "Musical", "Rock & Roll", "Hard Rock",
+  "Folk", "Folk-Rock", "National Folk", "Swing", "Fast Fusion", "Bebop", "Latin", "Revival", "Celtic", "Bluegrass",
+  "Avantgarde", "Gothic Rock", "Progressive Rock", "Psychedelic Rock", "Symphonic Rock", "Slow Rock", "Big Band", "Chorus", "Easy Listening", "Acoustic",
+  "Humour", "Speech", "Chanson", "Opera", "Chamber Music", "Sonata", "Symphony", "Booty Bass", "Primus", "Porn Groove",
+  "Satire", "Slow Jam", "Club", "Tango", "Samba", "Folklore", "Ballad", "Power Ballad", "Rhythmic Soul", "Freestyle",
+  "Duet", "Punk Rock", "Drum Solo", "A Cappella", "Euro-House", "Dance Hall", "Goa", "Drum & Bass", "Club-House", "Hardcore Techno",
+  "Terror", "Indie", "BritPop", "Negerpunk", "Polsk Punk", "Beat", "Christian Gangsta Rap", "Heavy Metal", "Black Metal", "Crossover",
+  "Contemporary Christian", "Christian Rock", "Merengue", "Salsa", "Thrash Metal", "Anime", "Jpop", "Synthpop",
+];
+
+const ID3_TEXT_FRAMES = {
+  TIT2: "title", TT2: "title",
+  TPE1: "artist", TP1: "artist",
+  TALB: "album", TAL: "album",
+  TRCK: "track", TRK: "track",
+  TPOS: "disc", TPA: "disc",
+  TYER: "year", TYE: "year", TDRC: "year",
+  TCON: "genre", TCO: "genre",
+};
+
+const MP4_TEXT_ATOMS = {
+  "©nam": "title",
+  "©ART": "artist",
+  aART: "albumArtist",
+  "©alb": "album",
+  "©day": "year",
+  "©gen": "genre",
+};
+
+const VORBIS_FIELDS = {
+  TITLE: "title",
+  ARTIST: "artist",
+  ALBUMARTIST: "albumArtist",
+  ALBUM: "album",
+  TRACKNUMBER: "track",
+  DISCNUMBER: "disc",
+  DATE: "year",
+  YEAR: "year",
+  GENRE: "genre",
+  REPLAYGAIN_TRACK_GAIN: "replayGain",
+  REPLAYGAIN_TRACK_PEAK: "replayGainPeak",
+  R128_TRACK_GAIN: "r128TrackGain",
+};
+
+// ReplayGain lives in user-defined fields: ID3 TXXX descriptions and MP4 "----" atom names
+const REPLAYGAIN_FIELDS = {
+  replaygain_track_gain: "replayGain",
+  replaygain_track_peak: "replayGainPeak",
+};
+
+const latin1 = new TextDecoder("latin1");
+const utf8 = new TextDecoder("utf-8");
+
+async function readBytes(file, start, end) {
+  return new Uint8Array(await file.slice(start, end).arrayBuffer());
+}
+
+const readString = (bytes, start, length) => latin1.decode(bytes.subarray(start, start + length));
+const readUint32BE = (bytes, offset) => new DataView(bytes.buffer, bytes.byteOffset).getUint32(offset);
+const readUint32LE = (bytes, offset) => new DataView(bytes.buffer, bytes.byteOffset).getUint32(offset, true);
+const readUint24BE = (bytes, offset) => (bytes[offset] << 16) | (bytes[offset + 1] << 8) | bytes[offset + 2];
+const readSynchsafe = (bytes, offset) =>
+  (bytes[offset] << 21) | (bytes[offset + 1] << 14) | (bytes[offset + 2] << 7) | bytes[offset + 3];
+
+// "3/12" -> 3, "2019-05-01" -> 2019
+function parseLeadingInt(value) {
+  const number = parseInt(String(value), 10);
+  return Number.isFinite(number) && number > 0 ? number : null;
+}
+
+// ID3 genres may be "(17)", "17" or "(17)Rock"
+function parseGenre(value) {
+  const match = /^\(?(\d+)\)?(.*)$/.exec(value.trim());
+  if (!match) {
+    return value.trim();
+  }
+  return match[2].trim() || ID3_GENRES[Number(match[1])] || value.trim();
+}
+
+// Build the stored tag record from raw string fields, dropping anything empty
+function finalizeTags(raw) {
+  const tags = {};
+  const text = (key) => (typeof raw[key] === "string" && raw[key].trim() ? raw[key].trim() : null);
+
+  if (text("title")) tags.title = text("title");
+  if (text("artist") || text("albumArtist")) tags.artist = text("artist") || text("albumArtist");
+  if (text("album")) tags.album = text("album");
+  if (raw.track != null && parseLeadingInt(raw.track)) tags.track = parseLeadingInt(raw.track);
+  if (raw.disc != null && parseLeadingInt(raw.disc)) tags.disc = parseLeadingInt(raw.disc);
+  if (raw.year != null && parseLeadingInt(raw.year)) tags.year = parseLeadingInt(raw.year);
+  if (text("genre")) tags.genre = parseGenre(text("genre"));
+
+  // "-6.20 dB"; Opus R128 gains are Q7.8 against -23 LUFS instead of ReplayGain's -18
+  const gain = text("replayGain")
+    ? parseFloat(text("replayGain"))
+    : text("r128TrackGain") ? parseInt(text("r128TrackGain"), 10) / 256 + 5 : NaN;
+  if (Number.isFinite(gain)) {
+    const peak = parseFloat(text("replayGainPeak"));
+    tags.replayGain = { gain, peak: Number.isFinite(peak) && peak > 0 ? peak : null };
+  }
+
+  return Object.keys(tags).length > 0 ? tags : null;
+}
+
+// Prefer the front cover when a file embeds several pictures
+function pickCover(pictures) {
+  return pictures.find((picture) => picture.pictureType === FRONT_COVER) || pictures[0] || null;
+}
+
+// FLAC PICTURE block, also used base64-encoded by METADATA_BLOCK_PICTURE in OGG
+function parseFlacPicture(bytes) {
+  let offset = 0;
+  const pictureType = readUint32BE(bytes, offset);
+  const mimeLength = readUint32BE(bytes, offset + 4);
+  const mimeType = readString(bytes, offset + 8, mimeLength);
+  offset += 8 + mimeLength;
+  const descriptionLength = readUint32BE(bytes, offset);
+  offset += 4 + descriptionLength + 16; // Skip description, width, height, depth and colors
+  const dataLength = readUint32BE(bytes, offset);
+  return { pictureType, mimeType, bytes: bytes.subarray(offset + 4, offset + 4 + dataLength) };
+}
+
+// ID3v2
+
+function removeUnsynchronisation(bytes) {
+  const output = [];
+  for (let i = 0; i < bytes.length; i++) {
+    output.push(bytes[i]);
+    if (bytes[i] === 0xff && bytes[i + 1] === 0x00) {
+      i++;
+    }
+  }
+  return Uint8Array.from(output);
+}
+
+function decodeId3Text(bytes, encoding, { allValues = false } = {}) {
+  let text;
+  if (encoding === 1) {
+    const isBigEndian = bytes[0] === 0xfe && bytes[1] === 0xff;
+    const hasBom = isBigEndian || (bytes[0] === 0xff && bytes[1] === 0xfe);
+    text = new TextDecoder(isBigEndian ? "utf-16be" : "utf-16le").decode(bytes.subarray(hasBom ? 2 : 0));
+  } else if (encoding === 2) {
+    text = new TextDecoder("utf-16be").decode(bytes);
+  } else if (encoding === 3) {
+    text = utf8.decode(bytes);
+  } else {
+    text = latin1.decode(bytes);
+  }
+  // ID3v2.4 separates multiple values with nulls; keep the first
+  return allValues ? text.split("\0") : text.split("\0")[0];
+}
+
+async function readId3v2(file) {
+  const header = await readBytes(file, 0, 10);
+  if (readString(header, 0, 3) !== "ID3") {
+    return null;
+  }
+
+  const version = header[3];
+  const flags = header[5];
+  const tagSize = readSynchsafe(header, 6);
+  let bytes = await readBytes(file, 10, 10 + tagSize);
+  if (version < 4 && flags & 0x80) {
+    bytes = removeUnsynchronisation(bytes);
+  }
+
+  let offset = 0;
+  if (flags & 0x40) {
+    offset = version === 4 ? readSynchsafe(bytes, 0) : readUint32BE(bytes, 0) + 4;
+  }
+
+  const frameHeaderSize = version === 2 ? 6 : 10;
+  const raw = {};
+  const frames = [];
+
+  while (offset + frameHeaderSize <= bytes.length) {
+    const frameId = readString(bytes, offset, version === 2 ? 3 : 4);
+    if (!/^[A-Z0-9]{3,4}$/.test(frameId)) {
+      break; // Reached padding
+    }
+
+    const frameSize = version === 2
+      ? readUint24BE(bytes, offset + 3)
+      : version === 4 ? readSynchsafe(bytes, offset + 4) : readUint32BE(bytes, offset + 4);
+    const formatFlags = version === 2 ? 0 : bytes[offset + 9];
+    let frame = bytes.subarray(offset + frameHeaderSize, offset + frameHeaderSize + frameSize);
+    offset += frameHeaderSize + frameSize;
+
+    if (version === 4 && formatFlags & 0x02) {
+      frame = removeUnsynchronisation(frame);
+    }
+    if (version === 4 && formatFlags & 0x01) {
+      frame = frame.subarray(4); // Skip the data length indicator
+    }
+    frames.push({ id: frameId, data: frame });
+
+    const field = ID3_TEXT_FRAMES[frameId];
+    if (field && frame.length > 1 && raw[field] === undefined) {
+      raw[field] = decodeId3Text(frame.subarray(1), frame[0]);
+    } else if (frameId === "TXXX" && frame.length > 1) {
+      const [description, value = ""] = decodeId3Text(frame.subarray(1), frame[0], { allValues: true });
+      const userField = REPLAYGAIN_FIELDS[description.toLowerCase()];
+      if (userField) {
+        raw[userField] = value;
+      }
+    }
+  }
+
+  const pictures = frames
+    .filter((frame) => frame.id === "APIC" || frame.id === "PIC")
+    .map((frame) => parseId3Picture(frame.data, version));
+  return { raw, frames, version, picture: pickCover(pictures) };
+}
+
+// APIC: encoding, MIME type, picture type, description, data (PIC in v2.2 has a 3-char format)
+function parseId3Picture(frame, version) {
+  const encoding = frame[0];
+  let offset = 1;
+  let mimeType;
+  if (version === 2) {
+    const format = readString(frame, 1, 3).toUpperCase();
+    mimeType = format === "PNG" ? "image/png" : "image/jpeg";
+    offset = 4;
+  } else {
+    const mimeEnd = frame.indexOf(0, offset);
+    mimeType = readString(frame, offset, mimeEnd - offset) || "image/jpeg";
+    offset = mimeEnd + 1;
+  }
+  const pictureType = frame[offset];
+  offset++;
+
+  // Skip the description, terminated by a null of the encoding's width
+  if (encoding === 1 || encoding === 2) {
+    while (offset + 1 < frame.length && (frame[offset] !== 0 || frame[offset + 1] !== 0)) {
+      offset += 2;
+    }
+    offset += 2;
+  } else {
+    offset = frame.indexOf(0, offset) + 1;
+  }
+
+  return { pictureType, mimeType: mimeType.includes("/") ? mimeType : `image/${mimeType}`, bytes: frame.subarray(offset) };
+}
+
+async function readId3v1(file) {
+  if (file.size < 128) {
+    return null;
+  }
+
+  const bytes = await readBytes(file, file.size - 128, file.size);
+  if (readString(bytes, 0, 3) !== "TAG") {
+    return null;
+  }
+
+  const field = (start, length) => readString(bytes, start, length).replace(/\0.*$/s, "").trim();
+  const raw = {
+    title: field(3, 30),
+    artist: field(33, 30),
+    album: field(63, 30),
+    year: field(93, 4),
+  };
+  // ID3v1.1 stores the track number in the last comment byte
+  if (bytes[125] === 0 && bytes[126] !== 0) {
+    raw.track = bytes[126];
+  }
+  if (ID3_GENRES[bytes[127]]) {
+    raw.genre = ID3_GENRES[bytes[127]];
+  }
+  return raw;
+}
+
+async function parseMp3(file) {
+  const id3v2 = await readId3v2(file);
+  const id3v1 = await readId3v1(file);
+  return { raw: { ...id3v1, ...id3v2?.raw }, id3v2, picture: id3v2?.picture || null };
+}
+
+// MP4 / M4A
+
+// Iterate boxes in bytes[start, end): yields { type, start, end, contentStart }
+function* iterateBoxes(bytes, start = 0, end = bytes.length) {
+  let offset = start;
+  while (offset + 8 <= end) {
+    let size = readUint32BE(bytes, offset);
+    const type = readString(bytes, offset + 4, 4);
+    let headerSize = 8;
+    if (size === 1) {
+      size = Number(new DataView(bytes.buffer, bytes.byteOffset).getBigUint64(offset + 8));
+      headerSize = 16;
+    } else if (size === 0) {
+      size = end - offset;
+    }
+    if (size < headerSize || offset + size > end) {
+      return;
+    }
+    yield { type, start: offset, end: offset + size, contentStart: offset + headerSize };
+    offset += size;
+  }
+}
+
+function findBox(bytes, type, start, end) {
+  for (const box of iterateBoxes(bytes, start, end)) {
+    if (box.type === type) {
+      return box;
+    }
+  }
+  return null;
+}
+
+// The moov box may sit after a multi-GB mdat, so walk top-level headers without reading payloads
+async function readMoovBox(file) {
+  let offset = 0;
+  while (offset + 8 <= file.size) {
+    const header = await readBytes(file, offset, Math.min(offset + 16, file.size));
+    let size = readUint32BE(header, 0);
+    const type = readString(header, 4, 4);
+    if (size === 1) {
+      size = Number(new DataView(header.buffer).getBigUint64(8));
+    } else if (size === 0) {
+      size = file.size - offset;
+    }
+    if (size < 8) {
+      return null;
+    }
+    if (type === "moov") {
+      return readBytes(file, offset, offset + size);
+    }
+    offset += size;
+  }
+  return null;
+}
+
+async function parseMp4(file) {
+  const moov = await readMoovBox(file);
+  if (!moov) {
+    return { raw: {}, atoms: {} };
+  }
+
+  const moovBox = findBox(moov, "moov", 0, moov.length);
+  const udta = moovBox && findBox(moov, "udta", moovBox.contentStart, moovBox.end);
+  const meta = udta && findBox(moov, "meta", udta.contentStart, udta.end);
+  if (!meta) {
+    return { raw: {}, atoms: {} };
+  }
+
+  // ISO meta is a full box (4 bytes of version/flags); QuickTime meta is not
+  const metaChildrenStart = readString(moov, meta.contentStart + 4, 4) === "hdlr"
+    ? meta.contentStart
+    : meta.contentStart + 4;
+  const ilst = findBox(moov, "ilst", metaChildrenStart, meta.end);
+  if (!ilst) {
+    return { raw: {}, atoms: {} };
+  }
+
+  const raw = {};
+  const atoms = {};
+  for (const item of iterateBoxes(moov, ilst.contentStart, ilst.end)) {
+    const data = findBox(moov, "data", item.contentStart, item.end);
+    if (!data) {
+      continue;
+    }
+
+    // data: 4 bytes type indicator, 4 bytes locale, then the value
+    const dataType = readUint32BE(moov, data.contentStart) & 0xffffff;
+    const value = moov.subarray(data.contentStart + 8, data.end);
+    atoms[item.type] = { dataType, value };
+
+    if (MP4_TEXT_ATOMS[item.type]) {
+      raw[MP4_TEXT_ATOMS[item.type]] = utf8.decode(value);
+    } else if ((item.type === "trkn" || item.type === "disk") && value.length >= 4) {
+      raw[item.type === "trkn" ? "track" : "disc"] = (value[2] << 8) | value[3];
+    } else if (item.type === "gnre" && value.length >= 2 && !raw.genre) {
+      raw.genre = ID3_GENRES[((value[0] << 8) | value[1]) - 1] || "";
+    } else if (item.type === "----") {
+      // Freeform atom: mean, name (full box), data
+      const name = findBox(moov, "name", item.contentStart, item.end);
+      const userField = name && REPLAYGAIN_FIELDS[utf8.decode(moov.subarray(name.contentStart + 4, name.end)).toLowerCase()];
+      if (userField) {
+        raw[userField] = utf8.decode(value);
+      }
+    }
+  }
+
+  const cover = atoms.covr;
+  const picture = cover
+    ? { pictureType: FRONT_COVER, mimeType: MP4_IMAGE_TYPES[cover.dataType] || "image/jpeg", bytes: cover.value }
+    : null;
+  return { raw, atoms, picture };
+}
+
+// Vorbis comments (OGG Vorbis, Opus, FLAC)
+
+function parseVorbisCommentBlock(bytes, offset = 0) {
+  const raw = {};
+  const comments = [];
+  const vendorLength = readUint32LE(bytes, offset);
+  offset += 4 + vendorLength;
+  const count = readUint32LE(bytes, offset);
+  offset += 4;
+
+  for (let i = 0; i < count && offset + 4 <= bytes.length; i++) {
+    const length = readUint32LE(bytes, offset);
+    const comment = utf8.decode(bytes.subarray(offset + 4, offset + 4 + length));
+    offset += 4 + length;
+
+    const separator = comment.indexOf("=");
+    if (separator === -1) {
+      continue;
+    }
+    const key = comment.slice(0, separator).toUpperCase();
+    const value = comment.slice(separator + 1);
+    comments.push({ key, value });
+
+    const field = VORBIS_FIELDS[key];
+    if (field && raw[field] === undefined) {
+      raw[field] = value;
+    }
+  }
+
+  return { raw, comments };
+}
+
+async function parseFlac(file) {
+  let offset = 4;
+  let result = { raw: {}, comments: [] };
+  const pictures = [];
+
+  while (offset + 4 <= file.size) {
+    const header = await readBytes(file, offset, offset + 4);
+    const isLast = header[0] & 0x80;
+    const blockType = header[0] & 0x7f;
+    const blockLength = readUint24BE(header, 1);
+    const blockStart = offset + 4;
+
+    if (blockType === 4) {
+      result = parseVorbisCommentBlock(await readBytes(file, blockStart, blockStart + blockLength));
+    } else if (blockType === 6) {
+      pictures.push({ start: blockStart, end: blockStart + blockLength });
+    }
+
+    offset = blockStart + blockLength;
+    if (isLast) {
+      break;
+    }
+  }
+
+  const pictureBlocks = await Promise.all(
+    pictures.map(async ({ start, end }) => parseFlacPicture(await readBytes(file, start, end)))
+  );
+  return { ...result, picture: pickCover(pictureBlocks) };
+}
+
+// Reassemble the first packets of the first logical OGG stream
+async function readOggPackets(file, packetCount) {
+  const packets = [];
+  let current = [];
+  let offset = 0;
+  let chunk = new Uint8Array(0);
+  let chunkStart = 0;
+  const MAX_HEADER_BYTES = 16 * 1024 * 1024;
+
+  const ensure = async (end) => {
+    if (end <= chunkStart + chunk.length) {
+      return true;
+    }
+    if (end > file.size || end > MAX_HEADER_BYTES) {
+      return false;
+    }
+    chunkStart = offset;
+    chunk = await readBytes(file, offset, Math.min(file.size, Math.max(end, offset + 256 * 1024)));
+    return end <= chunkStart + chunk.length;
+  };
+
+  while (packets.length < packetCount) {
+    if (!await ensure(offset + 27)) {
+      break;
+    }
+    const local = offset - chunkStart;
+    if (readString(chunk, local, 4) !== "OggS") {
+      break;
+    }
+
+    const segmentCount = chunk[local + 26];
+    if (!await ensure(offset + 27 + segmentCount)) {
+      break;
+    }
+    const segments = chunk.subarray(offset - chunkStart + 27, offset - chunkStart + 27 + segmentCount);
+    const bodySize = segments.reduce((sum, value) => sum + value, 0);
+    const bodyStart = offset + 27 + segmentCount;
+    if (!await ensure(bodyStart + bodySize)) {
+      break;
+    }
+
+    let position = bodyStart - chunkStart;
+    for (const segment of segments) {
+      current.push(chunk.slice(position, position + segment));
+      position += segment;
+      if (segment < 255) {
+        const packet = new Uint8Array(current.reduce((sum, part) => sum + part.length, 0));
+        let packetOffset = 0;
+        for (const part of current) {
+          packet.set(part, packetOffset);
+          packetOffset += part.length;
+        }
+        packets.push(packet);
+        current = [];
+        if (packets.length === packetCount) {
+          break;
+        }
+      }
+    }
+    offset = bodyStart + bodySize;
+  }
+
+  return packets;
+}
+
+async function parseOgg(file) {
+  const [, commentPacket] = await readOggPackets(file, 2);
+  let result = { raw: {}, comments: [] };
+  if (!commentPacket) {
+    return result;
+  }
+
+  if (readString(commentPacket, 0, 8) === "OpusTags") {
+    result = parseVorbisCommentBlock(commentPacket, 8);
+  } else if (commentPacket[0] === 0x03 && readString(commentPacket, 1, 6) === "vorbis") {
+    result = parseVorbisCommentBlock(commentPacket, 7);
+  }
+
+  const pictures = result.comments
+    .filter(({ key }) => key === "METADATA_BLOCK_PICTURE")
+    .map(({ value }) => parseFlacPicture(Uint8Array.from(atob(value), (char) => char.charCodeAt(0))));
+  return { ...result, picture: pickCover(pictures) };
+}
+
+async function detectFormat(file) {
+  const magic = await readBytes(file, 0, 12);
+  const signature = readString(magic, 0, 4);
+  if (signature === "fLaC") return "flac";
+  if (signature === "OggS") return "ogg";
+  if (readString(magic, 4, 4) === "ftyp") return "mp4";
+  return "mp3";
+}
+
+const PARSERS = {
+  mp3: parseMp3,
+  mp4: parseMp4,
+  flac: parseFlac,
+  ogg: parseOgg,
+};
+
+async function createArtworkThumbnail(picture) {
+  if (!picture || picture.bytes.length === 0) {
+    return null;
+  }
+
+  const image = new Blob([picture.bytes], { type: picture.mimeType });
+  if (typeof OffscreenCanvas === "undefined" || typeof createImageBitmap !== "function") {
+    return image.size <= MAX_UNSCALED_ARTWORK_BYTES ? image : null;
+  }
+
+  try {
+    const bitmap = await createImageBitmap(image);
+    const scale = Math.min(1, ARTWORK_MAX_SIZE / Math.max(bitmap.width, bitmap.height));
+    const canvas = new OffscreenCanvas(
+      Math.max(1, Math.round(bitmap.width * scale)),
+      Math.max(1, Math.round(bitmap.height * scale)),
+    );
+    canvas.getContext("2d").drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+    bitmap.close();
+    return await canvas.convertToBlob({ type: "image/jpeg", quality: 0.85 });
+  } catch (error) {
+    console.warn("Could not decode embedded artwork:", error);
+    return null;
+  }
+}
+
+async function readMetadata(file) {
+  const format = await detectFormat(file);
+  const parsed = await PARSERS[format](file);
+  return {
+    tags: finalizeTags(parsed.raw),
+    artwork: await createArtworkThumbnail(parsed.picture),
+  };
+}
+
+self.onmessage = async ({ data: { id, file } }) => {
+  try {
+    self.postMessage({ id, ...await readMetadata(file) });
+  } catch (error) {
+    self.postMessage({ id, error: error.message || String(error) });
+  }
+};
@@ -0,0 +1,251 @@
+// Minimal ZIP writer and reader for library backups.
+// Entries are stored uncompressed: media is already compressed, and it lets both sides work on
+// Blob slices so multi-GB files never have to sit in memory. ZIP64 kicks in past 4 GB.
+
+const UINT32_MAX = 0xffffffff;
+const UINT16_MAX = 0xffff;
+const FLAG_UTF8_NAMES = 0x0800;
+const CHUNK_SIZE = 4 * 1024 * 1024;
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+// Reads the blob in chunks, so only one chunk is in memory at a time
+export async function crc32(blob, onProgress) {
+  let crc = UINT32_MAX;
+  for (let offset = 0; offset < blob.size; offset += CHUNK_SIZE) {
+    const bytes = new Uint8Array(await blob.slice(offset, offset + CHUNK_SIZE).arrayBuffer());
+    for (let i = 0; i < bytes.length; i++) {
+      crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    }
+    onProgress?.(Math.min(offset + CHUNK_SIZE, blob.size));
+  }
+  return (crc ^ UINT32_MAX) >>> 0;
+}
+
+function toDosDateTime(date) {
+  const time = (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2);
+  const day = ((Math.max(date.getFullYear(), 1980) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+  return { time, day };
+}
+
+// Little-endian record builder
+function record(size, fill) {
+  const bytes = new Uint8Array(size);
+  const view = new DataView(bytes.buffer);
+  fill({
+    u16: (offset, value) => view.setUint16(offset, value, true),
+    u32: (offset, value) => view.setUint32(offset, value, true),
+    u64: (offset, value) => view.setBigUint64(offset, BigInt(value), true),
+    bytes: (offset, value) => bytes.set(value, offset),
+  });
+  return bytes;
+}
+
+// sink: { write(Uint8Array | Blob), close() }. Parts are written in order, exactly once.
+// checksum(blob, onProgress) -> CRC-32 can move the byte crunching off the calling thread.
+export function createZipWriter(sink, { checksum = crc32 } = {}) {
+  const encoder = new TextEncoder();
+  const entries = [];
+  let offset = 0;
+
+  const write = async (part) => {
+    await sink.write(part);
+    offset += part instanceof Blob ? part.size : part.byteLength;
+  };
+
+  return {
+    async addFile(name, blob, { modified = new Date(), onProgress } = {}) {
+      const nameBytes = encoder.encode(name);
+      const crc = await checksum(blob, onProgress);
+      const size = blob.size;
+      const headerOffset = offset;
+      const isZip64 = size >= UINT32_MAX || headerOffset >= UINT32_MAX;
+      const { time, day } = toDosDateTime(modified);
+
+      const localExtra = isZip64
+        ? record(20, (w) => {
+          w.u16(0, 0x0001);
+          w.u16(2, 16);
+          w.u64(4, size);
+          w.u64(12, size);
+        })
+        : new Uint8Array(0);
+      await write(record(30 + nameBytes.length + localExtra.length, (w) => {
+        w.u32(0, 0x04034b50);
+        w.u16(4, isZip64 ? 45 : 20);
+        w.u16(6, FLAG_UTF8_NAMES);
+        w.u16(8, 0); // Stored
+        w.u16(10, time);
+        w.u16(12, day);
+        w.u32(14, crc);
+        w.u32(18, isZip64 ? UINT32_MAX : size);
+        w.u32(22, isZip64 ? UINT32_MAX : size);
+        w.u16(26, nameBytes.length);
+        w.u16(28, localExtra.length);
+        w.bytes(30, nameBytes);
+        w.bytes(30 + nameBytes.length, localExtra);
+      }));
+      await write(blob);
+      entries.push({ nameBytes, crc, size, headerOffset, isZip64, time, day });
+    },
+
+    async close() {
+      const directoryOffset = offset;
+      for (const entry of entries) {
+        const extra = entry.isZip64
+          ? record(28, (w) => {
+            w.u16(0, 0x0001);
+            w.u16(2, 24);
+            w.u64(4, entry.size);
+            w.u64(12, entry.size);
+            w.u64(20, entry.headerOffset);
+          })
+          : new Uint8Array(0);
+        await write(record(46 + entry.nameBytes.length + extra.length, (w) => {
+          w.u32(0, 0x02014b50);
+          w.u16(4, 45);
+          w.u16(6, entry.isZip64 ? 45 : 20);
+          w.u16(8, FLAG_UTF8_NAMES);
+          w.u16(10, 0);
+          w.u16(12, entry.time);
+          w.u16(14, entry.day);
+          w.u32(16, entry.crc);
+          w.u32(20, entry.isZip64 ? UINT32_MAX : entry.size);
+          w.u32(24, entry.isZip64 ? UINT32_MAX : entry.size);
+          w.u16(28, entry.nameBytes.length);
+          w.u16(30, extra.length);
+          w.u32(42, entry.isZip64 ? UINT32_MAX : entry.headerOffset);
+          w.bytes(46, entry.nameBytes);
+          w.bytes(46 + entry.nameBytes.length, extra);
+        }));
+      }
+
+      const directorySize = offset - directoryOffset;
+      const needsZip64 = entries.length >= UINT16_MAX || directoryOffset >= UINT32_MAX || directorySize >= UINT32_MAX;
+      if (needsZip64) {
+        const zip64EndOffset = offset;
+        await write(record(56, (w) => {
+          w.u32(0, 0x06064b50);
+          w.u64(4, 44);
+          w.u16(12, 45);
+          w.u16(14, 45);
+          w.u64(24, entries.length);
+          w.u64(32, entries.length);
+          w.u64(40, directorySize);
+          w.u64(48, directoryOffset);
+        }));
+        await write(record(20, (w) => {
+          w.u32(0, 0x07064b50);
+          w.u64(8, zip64EndOffset);
+          w.u32(16, 1);
+        }));
+      }
+      await write(record(22, (w) => {
+        w.u32(0, 0x06054b50);
+        w.u16(8, needsZip64 ? UINT16_MAX : entries.length);
+        w.u16(10, needsZip64 ? UINT16_MAX : entries.length);
+        w.u32(12, needsZip64 ? UINT32_MAX : directorySize);
+        w.u32(16, needsZip64 ? UINT32_MAX : directoryOffset);
+      }));
+      await sink.close();
+    },
+  };
+}
+
+async function readView(file, start, end) {
+  return new DataView(await file.slice(start, end).arrayBuffer());
+}
+
+const readUint64 = (view, offset) => Number(view.getBigUint64(offset, true));
+
+// Returns [{ name, size, crc, blob }] where blob is a lazy slice of the archive
+export async function readZip(file) {
+  const tailStart = Math.max(0, file.size - (22 + UINT16_MAX));
+  const tail = await readView(file, tailStart, file.size);
+  let endOffset = -1;
+  for (let i = tail.byteLength - 22; i >= 0; i--) {
+    if (tail.getUint32(i, true) === 0x06054b50) {
+      endOffset = i;
+      break;
+    }
+  }
+  if (endOffset === -1) {
+    throw new Error("Not a ZIP archive");
+  }
+
+  let entryCount = tail.getUint16(endOffset + 10, true);
+  let directorySize = tail.getUint32(endOffset + 12, true);
+  let directoryOffset = tail.getUint32(endOffset + 16, true);
+  const locatorOffset = endOffset - 20;
+  if (locatorOffset >= 0 && tail.getUint32(locatorOffset, true) === 0x07064b50) {
+    const zip64EndOffset = readUint64(tail, locatorOffset + 8);
+    const zip64End = await readView(file, zip64EndOffset, zip64EndOffset + 56);
+    if (zip64End.getUint32(0, true) !== 0x06064b50) {
+      throw new Error("Corrupt ZIP64 directory");
+    }
+    entryCount = readUint64(zip64End, 32);
+    directorySize = readUint64(zip64End, 40);
+    directoryOffset = readUint64(zip64End, 48);
+  }
+
+  const directory = await readView(file, directoryOffset, directoryOffset + directorySize);
+  const decoder = new TextDecoder();
+  const entries = [];
+  let position = 0;
+  for (let index = 0; index < entryCount; index++) {
+    if (directory.getUint32(position, true) !== 0x02014b50) {
+      throw new Error("Corrupt ZIP directory");
+    }
+    const method = directory.getUint16(position + 10, true);
+    const crc = directory.getUint32(position + 16, true);
+    let size = directory.getUint32(position + 24, true);
+    let compressedSize = directory.getUint32(position + 20, true);
+    const nameLength = directory.getUint16(position + 28, true);
+    const extraLength = directory.getUint16(position + 30, true);
+    const commentLength = directory.getUint16(position + 32, true);
+    let headerOffset = directory.getUint32(position + 42, true);
+    const name = decoder.decode(new Uint8Array(directory.buffer, position + 46, nameLength));
+
+    // ZIP64 extra values appear only for header fields that overflowed, in this order
+    let extra = position + 46 + nameLength;
+    const extraEnd = extra + extraLength;
+    while (extra + 4 <= extraEnd) {
+      const id = directory.getUint16(extra, true);
+      const length = directory.getUint16(extra + 2, true);
+      if (id === 0x0001) {
+        let field = extra + 4;
+        if (size === UINT32_MAX) {
+          size = readUint64(directory, field);
+          field += 8;
+        }
+        if (compressedSize === UINT32_MAX) {
+          compressedSize = readUint64(directory, field);
+          field += 8;
+        }
+        if (headerOffset === UINT32_MAX) {
+          headerOffset = readUint64(directory, field);
+        }
+      }
+      extra += 4 + length;
+    }
+    position = extraEnd + commentLength;
+
+    if (method !== 0) {
+      throw new Error(`${name} is compressed; only stored entries can be restored`);
+    }
+    const localHeader = await readView(file, headerOffset, headerOffset + 30);
+    const dataStart = headerOffset + 30 + localHeader.getUint16(26, true) + localHeader.getUint16(28, true);
+    entries.push({ name, size, crc, blob: file.slice(dataStart, dataStart + compressedSize) });
+  }
+  return entries;
+}